@@ -1,9 +1,12 @@
 #!/usr/bin/env node
 
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const os = require('os');
+const { execSync } = require('child_process');
 
 // Show usage information
 function showUsage() {
@@ -14,14 +17,26 @@ Options:
   --titles "Title 1,Title 2,Title 3"   Comma-separated list of page titles
   --file <path>                        Read page titles from file (one per line)
   --stdin                              Read page titles from stdin (one per line)
+  --no-comments                        Keep --file/--stdin lines starting with "#"
+                                       as titles instead of skipping them as comments
   --children-view-type <type>          Set children view type (bullet, numbered, document)
+  --batch-size <n>                     Number of pages sent per batch request (default: 50)
   --dry-run                            Show what would be created without making API calls
+  --graph <profile>                    Use a graph profile from the config file
+  --max-attempts <n>                   Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>                  Request timeout in seconds (default: 30)
   --help                               Show this help message
 
-Environment Variables (required):
+Environment Variables (required unless a config file profile is used):
   ROAM_API_TOKEN      Your Roam Research API token (starts with roam-graph-token-)
   ROAM_GRAPH_NAME     Your Roam Research graph name
 
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS   Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT        Request timeout in seconds (default: 30)
+  ROAM_CONFIG         Config file with graph profiles
+  ROAM_JOURNAL        Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
 Examples:
   # Set environment variables first
   export ROAM_API_TOKEN="roam-graph-token-xxx"
@@ -51,8 +66,13 @@ function parseArgs() {
     titles: [],
     file: null,
     stdin: false,
+    noComments: false,
     childrenViewType: null,
+    batchSize: 50,
     dryRun: false,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
     help: false
   };
 
@@ -72,12 +92,27 @@ function parseArgs() {
       case '--stdin':
         options.stdin = true;
         break;
+      case '--no-comments':
+        options.noComments = true;
+        break;
       case '--children-view-type':
         options.childrenViewType = args[++i];
         break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
       default:
         console.error(`Unknown option: ${args[i]}`);
         process.exit(1);
@@ -87,13 +122,91 @@ function parseArgs() {
   return options;
 }
 
-// Load configuration from environment variables
-function loadConfig() {
-  const graphName = process.env.ROAM_GRAPH_NAME;
-  const apiToken = process.env.ROAM_API_TOKEN;
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
 
   if (!graphName || !apiToken) {
-    console.error('Error: Required environment variables not set');
+    console.error('Error: No Roam Research graph configured');
     console.error('');
     console.error('Please set the following environment variables:');
     console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
@@ -103,17 +216,24 @@ function loadConfig() {
     console.error('  export ROAM_GRAPH_NAME="my-graph"');
     console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
     console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
     process.exit(1);
   }
 
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
   return {
     graphName,
-    apiToken
+    apiToken,
+    maxAttempts,
+    timeout: timeoutSeconds * 1000
   };
 }
 
 // Read titles from file
-async function readTitlesFromFile(filePath) {
+async function readTitlesFromFile(filePath, keepComments) {
   return new Promise((resolve, reject) => {
     const titles = [];
     const rl = readline.createInterface({
@@ -123,7 +243,7 @@ async function readTitlesFromFile(filePath) {
 
     rl.on('line', (line) => {
       const title = line.trim();
-      if (title && !title.startsWith('#')) { // Skip empty lines and comments
+      if (title && (keepComments || !title.startsWith('#'))) { // Skip empty lines and comments
         titles.push(title);
       }
     });
@@ -134,7 +254,7 @@ async function readTitlesFromFile(filePath) {
 }
 
 // Read titles from stdin
-async function readTitlesFromStdin() {
+async function readTitlesFromStdin(keepComments) {
   return new Promise((resolve) => {
     const titles = [];
     const rl = readline.createInterface({
@@ -145,7 +265,7 @@ async function readTitlesFromStdin() {
 
     rl.on('line', (line) => {
       const title = line.trim();
-      if (title && !title.startsWith('#')) { // Skip empty lines and comments
+      if (title && (keepComments || !title.startsWith('#'))) { // Skip empty lines and comments
         titles.push(title);
       }
     });
@@ -160,9 +280,9 @@ async function getTitles(options) {
 
   // Priority: stdin > file > command line
   if (options.stdin) {
-    titles = await readTitlesFromStdin();
+    titles = await readTitlesFromStdin(options.noComments);
   } else if (options.file) {
-    titles = await readTitlesFromFile(options.file);
+    titles = await readTitlesFromFile(options.file, options.noComments);
   } else if (options.titles.length > 0) {
     titles = options.titles;
   }
@@ -170,12 +290,23 @@ async function getTitles(options) {
   return titles;
 }
 
-// Create batch actions for page creation
+// Generate a Roam-style UID (9 URL-safe characters)
+function generateUid() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+  let uid = '';
+  for (const byte of crypto.randomBytes(9)) {
+    uid += chars[byte % chars.length];
+  }
+  return uid;
+}
+
+// Create batch actions for page creation. Page UIDs are generated up front so
+// the journal can record them.
 function createBatchActions(titles, options) {
   return {
     action: 'batch-actions',
     actions: titles.map(title => {
-      const page = { title };
+      const page = { title, uid: generateUid() };
 
       // Add optional properties
       if (options.childrenViewType) {
@@ -190,14 +321,88 @@ function createBatchActions(titles, options) {
   };
 }
 
-// Make API request to Roam
-function makeRoamRequest(config, data, timeout = 30000) {
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make API request to Roam, retrying transient failures
+async function makeRoamRequest(config, data) {
+  return withRetry(config, () => sendRoamRequest(config, data, config.timeout));
+}
+
+// Find which of the given page UIDs exist in the graph
+async function queryExistingUids(config, uids) {
+  const query = `[:find ?uid
+ :in $ [?uid ...]
+ :where [?page :block/uid ?uid]]`;
+
+  const response = await withRetry(config, () => sendRoamRequest(config, { query, args: [uids] }, config.timeout, 'q'));
+  const result = (response.data && response.data.result) || [];
+  return new Set(result.map(([uid]) => uid));
+}
+
+// Send a single API request to Roam (the write endpoint unless another is given)
+function sendRoamRequest(config, data, timeout = 30000, endpoint = 'write') {
   return new Promise((resolve, reject) => {
     const payload = JSON.stringify(data);
 
     const options = {
       hostname: 'api.roamresearch.com',
-      path: `/api/graph/${config.graphName}/write`,
+      path: `/api/graph/${config.graphName}/${endpoint}`,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -246,7 +451,8 @@ function makeRoamRequest(config, data, timeout = 30000) {
               } else {
                 reject({
                   statusCode: redirectRes.statusCode,
-                  message: redirectData
+                  message: redirectData,
+                  retryAfter: redirectRes.headers['retry-after']
                 });
               }
             });
@@ -275,7 +481,8 @@ function makeRoamRequest(config, data, timeout = 30000) {
           } else {
             reject({
               statusCode: res.statusCode,
-              message: responseData
+              message: responseData,
+              retryAfter: res.headers['retry-after']
             });
           }
         });
@@ -294,6 +501,132 @@ function makeRoamRequest(config, data, timeout = 30000) {
   });
 }
 
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the UIDs they created, so undo.js can delete them again
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'create-pages.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+
+// Create a single page, recording it as created, skipped or failed
+async function createSinglePage(config, title, options, results, uid = generateUid()) {
+  const action = {
+    action: 'create-page',
+    page: { title, uid }
+  };
+
+  if (options.childrenViewType) {
+    action.page['children-view-type'] = options.childrenViewType;
+  }
+
+  const recordCreated = () => {
+    recordInJournal(config, [{ payload: action, uids: [uid] }]);
+    results.created.push(title);
+    process.stdout.write('.');
+  };
+
+  try {
+    await makeRoamRequest(config, action);
+    recordCreated();
+  } catch (error) {
+    if (error.statusCode && error.message) {
+      try {
+        const errorData = JSON.parse(error.message);
+        // Check if it's a duplicate page error. A page with our UID was
+        // created by an earlier attempt whose response was lost.
+        if (errorData.message && errorData.message.includes('already exists')) {
+          const existing = await queryExistingUids(config, [uid]);
+          if (existing.has(uid)) {
+            recordCreated();
+          } else {
+            results.skipped.push(title);
+            process.stdout.write('s');
+          }
+        } else {
+          results.failed.push({ title, error: errorData.message });
+          process.stdout.write('x');
+        }
+      } catch (e) {
+        results.failed.push({ title, error: error.message });
+        process.stdout.write('x');
+      }
+    } else {
+      results.failed.push({ title, error: error.message || 'Unknown error' });
+      process.stdout.write('x');
+    }
+  }
+}
+
+// Create pages in chunked batches. If a batch fails (e.g. one of its pages
+// already exists), the pages it created anyway are found by their UIDs and
+// the rest of the chunk is retried one page at a time, so the
+// created/skipped/failed summary stays accurate.
+async function createPagesInBatches(config, titles, options, results) {
+  const recordCreated = (action) => {
+    recordInJournal(config, [{ payload: action, uids: [action.page.uid] }]);
+    results.created.push(action.page.title);
+    process.stdout.write('.');
+  };
+
+  for (let i = 0; i < titles.length; i += options.batchSize) {
+    const chunk = titles.slice(i, i + options.batchSize);
+
+    if (chunk.length === 1) {
+      await createSinglePage(config, chunk[0], options, results);
+      continue;
+    }
+
+    const batch = createBatchActions(chunk, options);
+    try {
+      await makeRoamRequest(config, batch);
+      batch.actions.forEach(recordCreated);
+      continue;
+    } catch (error) {
+      // Fall through and retry this chunk one page at a time
+    }
+
+    let applied = new Set();
+    try {
+      applied = await queryExistingUids(config, batch.actions.map(action => action.page.uid));
+    } catch (error) {
+      // Retry every page of the chunk
+    }
+
+    for (const action of batch.actions) {
+      if (applied.has(action.page.uid)) {
+        recordCreated(action);
+      } else {
+        await createSinglePage(config, action.page.title, options, results, action.page.uid);
+      }
+    }
+  }
+}
+
 // Main function
 async function main() {
   try {
@@ -315,6 +648,20 @@ async function main() {
       process.exit(1);
     }
 
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
     // Remove duplicates while preserving order
     const uniqueTitles = [...new Set(titles)];
 
@@ -331,7 +678,7 @@ async function main() {
     }
 
     // Load config for actual API calls
-    const config = loadConfig();
+    const config = loadConfig(options);
 
     console.log(`Creating ${uniqueTitles.length} pages in Roam Research graph: ${config.graphName}`);
     if (options.childrenViewType) {
@@ -339,55 +686,26 @@ async function main() {
     }
     console.log('');
 
-    // Create pages one by one to handle duplicates gracefully
+    // Create pages in batches, falling back to one by one on failure
     const results = {
       created: [],
       skipped: [],
       failed: []
     };
 
-    for (const title of uniqueTitles) {
-      try {
-        const action = {
-          action: 'create-page',
-          page: { title }
-        };
-
-        if (options.childrenViewType) {
-          action.page['children-view-type'] = options.childrenViewType;
-        }
-
-        await makeRoamRequest(config, action);
-        results.created.push(title);
-        process.stdout.write('.');
-      } catch (error) {
-        if (error.statusCode && error.message) {
-          try {
-            const errorData = JSON.parse(error.message);
-            // Check if it's a duplicate page error
-            if (errorData.message && errorData.message.includes('already exists')) {
-              results.skipped.push(title);
-              process.stdout.write('s');
-            } else {
-              results.failed.push({ title, error: errorData.message });
-              process.stdout.write('x');
-            }
-          } catch (e) {
-            results.failed.push({ title, error: error.message });
-            process.stdout.write('x');
-          }
-        } else {
-          results.failed.push({ title, error: error.message || 'Unknown error' });
-          process.stdout.write('x');
-        }
-      }
-    }
+    await createPagesInBatches(config, uniqueTitles, options, results);
 
     console.log('\n');
     console.log('Summary:');
     console.log(`  ✓ Created: ${results.created.length}`);
     console.log(`  ⊙ Skipped (already exists): ${results.skipped.length}`);
     console.log(`  ✗ Failed: ${results.failed.length}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    if (journal.count > 0) {
+      console.log(`  Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+    }
     console.log('');
 
     if (results.created.length > 0) {
@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+// Version of the snapshot file layout, bumped on incompatible changes
+const SNAPSHOT_VERSION = 1;
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: export-graph.js [options]
+
+Back up a whole Roam Research graph to a local JSON (and optionally EDN) snapshot.
+
+Options:
+  --out <path>           Snapshot file to write (default: <graph>-YYYY-MM-DD.json)
+  --edn                  Also write an EDN copy of the snapshot next to it (.edn)
+  --incremental <path>   Start from a previous snapshot and only re-fetch pages
+                         edited since it was taken
+  --batch-size <n>       Number of pages fetched per query (default: 50)
+  --graph <profile>      Use a graph profile from the config file
+  --max-attempts <n>     Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>    Request timeout in seconds (default: 30)
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+
+Examples:
+  # Full backup of the graph
+  export-graph.js --out backups/my-graph.json
+
+  # Nightly backup: refresh last night's snapshot in place
+  export-graph.js --incremental backups/my-graph.json --out backups/my-graph.json
+
+  # Full backup as JSON and EDN
+  export-graph.js --out backups/my-graph.json --edn
+`);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    out: null,
+    edn: false,
+    incremental: null,
+    batchSize: 50,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--edn':
+        options.edn = true;
+        break;
+      case '--incremental':
+        options.incremental = args[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
+
+  if (!graphName || !apiToken) {
+    console.error('Error: No Roam Research graph configured');
+    console.error('');
+    console.error('Please set the following environment variables:');
+    console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
+    console.error('  ROAM_API_TOKEN     Your Roam Research API token');
+    console.error('');
+    console.error('Example:');
+    console.error('  export ROAM_GRAPH_NAME="my-graph"');
+    console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
+    console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
+    process.exit(1);
+  }
+
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make HTTPS request (shared helper)
+function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const makeRequest = (opts) => {
+      const req = https.request(opts, (res) => {
+        // Handle redirects
+        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 308) {
+          const redirectUrl = new URL(res.headers.location);
+          const redirectOpts = {
+            hostname: redirectUrl.hostname,
+            port: redirectUrl.port || 443,
+            path: redirectUrl.pathname + redirectUrl.search,
+            method: opts.method,
+            headers: opts.headers,
+            timeout: timeout
+          };
+
+          const redirectReq = https.request(redirectOpts, (redirectRes) => {
+            let data = '';
+            redirectRes.on('data', (chunk) => { data += chunk; });
+            redirectRes.on('end', () => {
+              if (redirectRes.statusCode === 200) {
+                resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
+              } else {
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
+              }
+            });
+          });
+
+          redirectReq.on('error', reject);
+          redirectReq.on('timeout', () => { redirectReq.destroy(); reject(new Error('Request timeout')); });
+          redirectReq.write(payload);
+          redirectReq.end();
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
+          } else {
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.write(payload);
+      req.end();
+    };
+
+    makeRequest(requestOptions);
+  });
+}
+
+// Run a Datalog query against the Roam API
+async function runQuery(config, query, queryArgs) {
+  const body = { query };
+  if (queryArgs && queryArgs.length > 0) {
+    body.args = queryArgs;
+  }
+  const payload = JSON.stringify(body);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/q`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  if (response.data && response.data.result) {
+    return response.data.result;
+  }
+  return [];
+}
+
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Attributes pulled for every page and (recursively) every block
+const PULL_PATTERN = '[:block/uid :node/title :block/string :block/order :block/heading :block/open :block/text-align :children/view-type :create/time :edit/time {:block/children ...}]';
+
+// Default snapshot path: <graph>-YYYY-MM-DD.json in the current directory
+function getDefaultOutPath(graphName) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${graphName}-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.json`;
+}
+
+// List every page with its UID, title and last page-level edit time
+async function queryPageList(config) {
+  const query = `[:find ?uid ?title ?time
+ :where [?page :node/title ?title]
+        [?page :block/uid ?uid]
+        [(get-else $ ?page :edit/time 0) ?time]]`;
+
+  const result = await runQuery(config, query);
+  return result
+    .map(([uid, title, editTime]) => ({ uid, title, editTime }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+// Count each page's blocks and find its most recent block edit, as a
+// page UID -> { blockCount, lastEdited } map
+async function queryPageStats(config) {
+  const query = `[:find ?uid (count ?block) (max ?time)
+ :where [?block :block/page ?page]
+        [?page :block/uid ?uid]
+        [(get-else $ ?block :edit/time 0) ?time]]`;
+
+  const result = await runQuery(config, query);
+  return new Map(result.map(([uid, blockCount, lastEdited]) => [uid, { blockCount, lastEdited }]));
+}
+
+// Convert a pulled block into the snapshot shape, leaving out unset attributes
+function toSnapshotBlock(entity) {
+  const block = { uid: pullAttr(entity, 'block/uid') };
+  const fields = [
+    ['title', 'node/title'],
+    ['string', 'block/string'],
+    ['order', 'block/order'],
+    ['heading', 'block/heading'],
+    ['open', 'block/open'],
+    ['textAlign', 'block/text-align'],
+    ['viewType', 'children/view-type'],
+    ['createTime', 'create/time'],
+    ['editTime', 'edit/time']
+  ];
+  for (const [key, attr] of fields) {
+    const value = pullAttr(entity, attr);
+    if (value !== undefined && value !== null) {
+      block[key] = value;
+    }
+  }
+
+  const children = pullAttr(entity, 'block/children');
+  block.children = Array.isArray(children)
+    ? children.map(toSnapshotBlock).sort((a, b) => a.order - b.order)
+    : [];
+  return block;
+}
+
+// Fetch full page trees, batchSize pages per query
+async function fetchPages(config, uids, batchSize) {
+  const query = `[:find (pull ?page ${PULL_PATTERN})
+ :in $ [?uid ...]
+ :where [?page :block/uid ?uid]]`;
+
+  const pages = [];
+  for (let i = 0; i < uids.length; i += batchSize) {
+    const chunk = uids.slice(i, i + batchSize);
+    const result = await runQuery(config, query, [chunk]);
+    result.forEach(([entity]) => pages.push(toSnapshotBlock(entity)));
+    console.log(`  Fetched ${Math.min(i + batchSize, uids.length)}/${uids.length} pages`);
+  }
+  return pages;
+}
+
+// Count all blocks in a tree
+function countBlocks(blocks) {
+  return blocks.reduce((total, block) => total + 1 + countBlocks(block.children), 0);
+}
+
+// Read a previous snapshot to build an incremental one from
+function loadSnapshot(snapshotPath, graphName) {
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version ${snapshot.version} in ${snapshotPath} (expected ${SNAPSHOT_VERSION})`);
+  }
+  if (snapshot.graph !== graphName) {
+    throw new Error(`Snapshot ${snapshotPath} is of graph "${snapshot.graph}", not "${graphName}"`);
+  }
+  return snapshot;
+}
+
+// Decide which pages must be re-fetched: new pages, pages edited since the
+// previous snapshot, and pages whose block count changed (deleted blocks
+// leave no edit time behind)
+function planIncremental(pageList, stats, previous) {
+  // Allow for clock skew between this machine and Roam's servers
+  const since = previous.exportedAt - 60000;
+  const previousPages = new Map(previous.pages.map(page => [page.uid, page]));
+  const reused = [];
+  const refetch = [];
+
+  for (const page of pageList) {
+    const old = previousPages.get(page.uid);
+    const pageStats = stats.get(page.uid) || { blockCount: 0, lastEdited: 0 };
+    const changed = !old ||
+      old.title !== page.title ||
+      Math.max(page.editTime, pageStats.lastEdited) > since ||
+      countBlocks(old.children) !== pageStats.blockCount;
+
+    if (changed) {
+      refetch.push(page.uid);
+    } else {
+      reused.push(old);
+    }
+  }
+
+  const current = new Set(pageList.map(page => page.uid));
+  const removed = previous.pages.filter(page => !current.has(page.uid)).length;
+
+  return { reused, refetch, removed };
+}
+
+// Serialize a snapshot value as EDN, with camelCase keys as kebab-case keywords
+function toEdn(value, indent = '') {
+  if (value === null || value === undefined) return 'nil';
+  if (typeof value === 'string') {
+    return '"' + value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t') + '"';
+  }
+  if (typeof value !== 'object') return String(value);
+
+  const inner = indent + ' ';
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : '[' + value.map(item => toEdn(item, inner)).join('\n' + inner) + ']';
+  }
+  const entries = Object.entries(value).map(([key, item]) => {
+    const keyword = ':' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+    return `${keyword} ${toEdn(item, inner + ' '.repeat(keyword.length + 1))}`;
+  });
+  return '{' + entries.join('\n' + inner) + '}';
+}
+
+// Write a file via a temporary file and rename, so an interrupted run never
+// leaves a truncated snapshot behind
+function writeFileAtomic(filePath, contents) {
+  const dir = path.dirname(filePath);
+  fs.mkdirSync(dir, { recursive: true });
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.tmp`);
+  fs.writeFileSync(tmpPath, contents);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // Show help if requested
+    if (options.help) {
+      showUsage();
+      process.exit(0);
+    }
+
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+    if (options.incremental && !fs.existsSync(options.incremental)) {
+      console.error(`Error: Snapshot "${options.incremental}" not found`);
+      process.exit(1);
+    }
+
+    const config = loadConfig(options);
+    const outPath = options.out || getDefaultOutPath(config.graphName);
+    const previous = options.incremental ? loadSnapshot(options.incremental, config.graphName) : null;
+
+    console.log(`Exporting Roam Research graph: ${config.graphName}`);
+    console.log('');
+
+    // Taken before fetching, so edits made during the export are picked up next time
+    const exportedAt = Date.now();
+    const pageList = await queryPageList(config);
+    console.log(`Found ${pageList.length} pages`);
+
+    let pages;
+    if (previous) {
+      const plan = planIncremental(pageList, await queryPageStats(config), previous);
+      console.log(`Incremental from snapshot of ${new Date(previous.exportedAt).toLocaleString()}: ` +
+        `${plan.reused.length} unchanged, ${plan.refetch.length} to fetch, ${plan.removed} removed`);
+      pages = plan.reused.concat(await fetchPages(config, plan.refetch, options.batchSize));
+    } else {
+      pages = await fetchPages(config, pageList.map(page => page.uid), options.batchSize);
+    }
+    pages.sort((a, b) => a.title.localeCompare(b.title));
+
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      graph: config.graphName,
+      exportedAt,
+      pageCount: pages.length,
+      blockCount: pages.reduce((total, page) => total + countBlocks(page.children), 0),
+      pages
+    };
+
+    console.log('');
+    writeFileAtomic(outPath, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`✓ Wrote snapshot: ${outPath} (${snapshot.pageCount} pages, ${snapshot.blockCount} blocks)`);
+
+    if (options.edn) {
+      const ednPath = outPath.replace(/\.json$/i, '') + '.edn';
+      writeFileAtomic(ednPath, toEdn(snapshot) + '\n');
+      console.log(`✓ Wrote EDN snapshot: ${ednPath}`);
+    }
+    if (requestStats.retried > 0) {
+      console.log(`↻ Retried requests: ${requestStats.retried}`);
+    }
+
+  } catch (error) {
+    console.error('');
+    console.error('✗ Fatal error:');
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main();
@@ -0,0 +1,802 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: import-graph.js --file <snapshot.json> [options]
+
+Recreate pages and block trees from a JSON snapshot in a Roam Research graph.
+
+Accepted input:
+  - A snapshot written by export-graph.js
+  - A page or journal from read-content.js --page/--date/--journal --json
+  - A JSON array of pages: [{ "title": ..., "children": [{ "string": ..., "children": [...] }] }]
+
+Options:
+  --file <path>          Snapshot file to import (required)
+  --existing <mode>      What to do with pages that already exist:
+                         skip (default) or merge (add the blocks a page is
+                         missing; a block matches an existing one with the
+                         same text under the same parent)
+  --preserve-uids        Create pages and blocks with their UIDs from the
+                         snapshot (blocks whose UID already exists are kept,
+                         and merge matches blocks by UID instead of text)
+  --batch-size <n>       Number of actions sent per batch request (default: 50)
+  --dry-run              Preview without making changes
+  --graph <profile>      Use a graph profile from the config file
+  --max-attempts <n>     Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>    Request timeout in seconds (default: 30)
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name (the target graph)
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+  ROAM_JOURNAL           Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
+Examples:
+  # Seed a test graph from a backup
+  ROAM_GRAPH_NAME=test-graph import-graph.js --file backups/my-graph.json
+
+  # Restore a backup into the same graph, keeping UIDs and filling in missing blocks
+  import-graph.js --file backups/my-graph.json --existing merge --preserve-uids
+
+  # Copy one page to another graph
+  read-content.js --page "Project Alpha" --json > project-alpha.json
+  ROAM_GRAPH_NAME=other-graph import-graph.js --file project-alpha.json
+`);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    file: null,
+    existing: 'skip',
+    preserveUids: false,
+    batchSize: 50,
+    dryRun: false,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--file':
+      case '-f':
+        options.file = args[++i];
+        break;
+      case '--existing':
+        options.existing = args[++i];
+        break;
+      case '--preserve-uids':
+        options.preserveUids = true;
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
+
+  if (!graphName || !apiToken) {
+    console.error('Error: No Roam Research graph configured');
+    console.error('');
+    console.error('Please set the following environment variables:');
+    console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
+    console.error('  ROAM_API_TOKEN     Your Roam Research API token');
+    console.error('');
+    console.error('Example:');
+    console.error('  export ROAM_GRAPH_NAME="my-graph"');
+    console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
+    console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
+    process.exit(1);
+  }
+
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make HTTPS request (shared helper)
+function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const makeRequest = (opts) => {
+      const req = https.request(opts, (res) => {
+        // Handle redirects
+        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 308) {
+          const redirectUrl = new URL(res.headers.location);
+          const redirectOpts = {
+            hostname: redirectUrl.hostname,
+            port: redirectUrl.port || 443,
+            path: redirectUrl.pathname + redirectUrl.search,
+            method: opts.method,
+            headers: opts.headers,
+            timeout: timeout
+          };
+
+          const redirectReq = https.request(redirectOpts, (redirectRes) => {
+            let data = '';
+            redirectRes.on('data', (chunk) => { data += chunk; });
+            redirectRes.on('end', () => {
+              if (redirectRes.statusCode === 200) {
+                resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
+              } else {
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
+              }
+            });
+          });
+
+          redirectReq.on('error', reject);
+          redirectReq.on('timeout', () => { redirectReq.destroy(); reject(new Error('Request timeout')); });
+          redirectReq.write(payload);
+          redirectReq.end();
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
+          } else {
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.write(payload);
+      req.end();
+    };
+
+    makeRequest(requestOptions);
+  });
+}
+
+// Run a Datalog query against the Roam API
+async function runQuery(config, query, queryArgs) {
+  const body = { query };
+  if (queryArgs && queryArgs.length > 0) {
+    body.args = queryArgs;
+  }
+  const payload = JSON.stringify(body);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/q`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  if (response.data && response.data.result) {
+    return response.data.result;
+  }
+  return [];
+}
+
+// Generate a Roam-style block UID (9 URL-safe characters)
+function generateUid() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+  let uid = '';
+  for (const byte of crypto.randomBytes(9)) {
+    uid += chars[byte % chars.length];
+  }
+  return uid;
+}
+
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the UIDs they created, so undo.js can delete them again
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'import-graph.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+// Send a write action (or batch-actions payload) to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/write`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Daily notes pages keep their "MM-DD-YYYY" UID so Roam recognizes them
+const DAILY_UID_PATTERN = /^\d{2}-\d{2}-\d{4}$/;
+
+// Normalize a block list from any accepted input into
+// { uid, string, heading, open, textAlign, viewType, children }.
+// Embedded copies (read-content.js --resolve-refs) are left out.
+function normalizeBlocks(blocks) {
+  return (blocks || [])
+    .filter(block => !block.embedded)
+    .slice()
+    .sort((a, b) => (a.order === undefined || b.order === undefined ? 0 : a.order - b.order))
+    .map(block => ({
+      uid: block.uid,
+      string: block.string || '',
+      heading: block.heading,
+      open: block.open,
+      textAlign: block.textAlign,
+      viewType: block.viewType,
+      children: normalizeBlocks(block.children)
+    }));
+}
+
+// Read the pages from a snapshot, read-content.js JSON output or a plain array
+function loadSnapshotPages(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const pages = Array.isArray(data) ? data : (Array.isArray(data.pages) ? data.pages : [data]);
+
+  return pages.map((page, i) => {
+    if (!page || typeof page.title !== 'string' || !page.title) {
+      throw new Error(`Page ${i + 1} in ${filePath} has no title`);
+    }
+    return {
+      uid: page.uid,
+      title: page.title,
+      viewType: page.viewType,
+      children: normalizeBlocks(page.children || page.blocks)
+    };
+  });
+}
+
+// Count all blocks in a block tree
+function countBlocks(blocks) {
+  return blocks.reduce((sum, block) => sum + 1 + countBlocks(block.children), 0);
+}
+
+// Collect every block UID in a list of pages
+function collectBlockUids(blocks, uids = []) {
+  for (const block of blocks) {
+    if (block.uid) uids.push(block.uid);
+    collectBlockUids(block.children, uids);
+  }
+  return uids;
+}
+
+// Look up which of the given titles (or UIDs) exist, batchSize per query
+async function queryExisting(config, attr, values, batchSize) {
+  const query = `[:find ?value ?uid
+ :in $ [?value ...]
+ :where [?e ${attr} ?value]
+        [?e :block/uid ?uid]]`;
+
+  const existing = new Map();
+  for (let i = 0; i < values.length; i += batchSize) {
+    const result = await runQuery(config, query, [values.slice(i, i + batchSize)]);
+    result.forEach(([value, uid]) => existing.set(value, uid));
+  }
+  return existing;
+}
+
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Convert pulled children into { uid, string, children } sorted by order
+function pulledChildren(entity) {
+  return (pullAttr(entity, 'block/children') || [])
+    .slice()
+    .sort((a, b) => (pullAttr(a, 'block/order') || 0) - (pullAttr(b, 'block/order') || 0))
+    .map(child => ({
+      uid: pullAttr(child, 'block/uid'),
+      string: pullAttr(child, 'block/string') || '',
+      children: pulledChildren(child)
+    }));
+}
+
+// Fetch the existing block trees of pages, batchSize pages per query, as a
+// page UID -> children map
+async function queryPageTrees(config, pageUids, batchSize) {
+  const query = `[:find (pull ?page [:block/uid {:block/children [:block/uid :block/string :block/order {:block/children ...}]}])
+ :in $ [?uid ...]
+ :where [?page :block/uid ?uid]]`;
+
+  const trees = new Map();
+  for (let i = 0; i < pageUids.length; i += batchSize) {
+    const result = await runQuery(config, query, [pageUids.slice(i, i + batchSize)]);
+    result.forEach(([entity]) => trees.set(pullAttr(entity, 'block/uid'), pulledChildren(entity)));
+  }
+  return trees;
+}
+
+// Strip the keyword colon from a view type (":bullet" -> "bullet")
+function viewTypeName(viewType) {
+  return String(viewType).replace(/^:/, '');
+}
+
+// Flatten a block tree into create-block actions, parents before children.
+// With preserveUids, snapshot UIDs are reused and blocks whose UID already
+// exists are skipped, while their missing children are still created under them.
+// Otherwise a block matching an existing sibling's text (existingChildren, when
+// merging into a page) is skipped the same way.
+function buildBlockActions(parentUid, blocks, options, existingUids, actions, skipped, existingChildren = []) {
+  const unmatched = existingChildren.slice();
+  for (const block of blocks) {
+    const matchIndex = unmatched.findIndex(child => child.string.trim() === block.string.trim());
+    if (matchIndex !== -1) {
+      const match = unmatched.splice(matchIndex, 1)[0];
+      skipped.push(block.string);
+      buildBlockActions(match.uid, block.children, options, existingUids, actions, skipped, match.children);
+      continue;
+    }
+
+    const uid = options.preserveUids && block.uid ? block.uid : generateUid();
+
+    if (options.preserveUids && existingUids.has(uid)) {
+      skipped.push(block.string);
+    } else {
+      const attrs = { string: block.string, uid };
+      if (block.heading) attrs.heading = block.heading;
+      if (block.open === false) attrs.open = false;
+      if (block.textAlign) attrs['text-align'] = block.textAlign;
+      if (block.viewType) attrs['children-view-type'] = viewTypeName(block.viewType);
+
+      actions.push({
+        action: 'create-block',
+        location: { 'parent-uid': parentUid, order: 'last' },
+        block: attrs
+      });
+    }
+    buildBlockActions(uid, block.children, options, existingUids, actions, skipped);
+  }
+  return actions;
+}
+
+// Build the create-page and create-block actions for all pages, parents
+// before children, and record what happens to each page
+function buildImportActions(pages, existingPages, existingUids, existingTrees, options, plan) {
+  const actions = [];
+
+  for (const page of pages) {
+    let pageUid = existingPages.get(page.title);
+
+    if (pageUid && options.existing === 'skip') {
+      plan.skippedPages.push(page.title);
+      continue;
+    }
+
+    if (pageUid) {
+      plan.mergedPages.push(page.title);
+    } else {
+      const keepUid = page.uid && (options.preserveUids || DAILY_UID_PATTERN.test(page.uid));
+      pageUid = keepUid ? page.uid : generateUid();
+
+      const attrs = { title: page.title, uid: pageUid };
+      if (page.viewType) attrs['children-view-type'] = viewTypeName(page.viewType);
+      actions.push({ action: 'create-page', page: attrs });
+      plan.createdPages.push(page.title);
+    }
+
+    buildBlockActions(pageUid, page.children, options, existingUids, actions, plan.skippedBlocks, existingTrees.get(pageUid));
+  }
+
+  return actions;
+}
+
+// Send actions in chunked batches, falling back to single actions for a
+// chunk whose batch request fails. Blocks under a failed page or block are
+// marked failed without being sent.
+async function writeActions(config, actions, batchSize, results) {
+  const failedUids = new Set();
+
+  const describe = (action) => action.page ? `Page "${action.page.title}"` : action.block.string;
+  const journalEntry = (action) => ({ payload: action, uids: [(action.page || action.block).uid] });
+  const recordWritten = (action) => {
+    results.written.push(describe(action));
+    process.stdout.write('.');
+  };
+  const recordFailed = (action, error) => {
+    failedUids.add((action.page || action.block).uid);
+    results.failed.push({ content: describe(action), error });
+    process.stdout.write('x');
+  };
+  const parentFailed = (action) => Boolean(action.location) && failedUids.has(action.location['parent-uid']);
+
+  for (let i = 0; i < actions.length; i += batchSize) {
+    const chunk = [];
+    for (const action of actions.slice(i, i + batchSize)) {
+      if (parentFailed(action)) {
+        recordFailed(action, 'Parent was not created');
+      } else {
+        chunk.push(action);
+      }
+    }
+
+    if (chunk.length > 1) {
+      try {
+        await sendWriteAction(config, { action: 'batch-actions', actions: chunk });
+        recordInJournal(config, chunk.map(journalEntry));
+        chunk.forEach(recordWritten);
+        continue;
+      } catch (error) {
+        // Fall through and retry this chunk one action at a time
+      }
+    }
+
+    // A failed batch may still have been applied in part (e.g. a timeout
+    // after the server committed it): pages and blocks that exist now were
+    // written
+    let applied = new Map();
+    if (chunk.length > 1) {
+      try {
+        applied = await queryExisting(config, ':block/uid', chunk.map(action => (action.page || action.block).uid), batchSize);
+      } catch (error) {
+        // Resend the whole chunk
+      }
+    }
+
+    for (const action of chunk) {
+      if (parentFailed(action)) {
+        recordFailed(action, 'Parent was not created');
+        continue;
+      }
+      if (applied.has((action.page || action.block).uid)) {
+        recordInJournal(config, [journalEntry(action)]);
+        recordWritten(action);
+        continue;
+      }
+      try {
+        await sendWriteAction(config, action);
+        recordInJournal(config, [journalEntry(action)]);
+        recordWritten(action);
+      } catch (error) {
+        recordFailed(action, error.message || 'Unknown error');
+      }
+    }
+  }
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // Show help if requested
+    if (options.help) {
+      showUsage();
+      process.exit(0);
+    }
+
+    if (!options.file) {
+      console.error('Error: Must specify --file <snapshot.json>');
+      console.error('Run with --help for usage information.');
+      process.exit(1);
+    }
+    if (!fs.existsSync(options.file)) {
+      console.error(`Error: File "${options.file}" not found`);
+      process.exit(1);
+    }
+    if (!['skip', 'merge'].includes(options.existing)) {
+      console.error('Error: --existing must be skip or merge');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
+    const pages = loadSnapshotPages(options.file);
+    const blockCount = pages.reduce((sum, page) => sum + countBlocks(page.children), 0);
+
+    // Dry run mode
+    if (options.dryRun) {
+      console.log('Dry run mode - no changes will be made');
+      console.log(`Snapshot: ${options.file} (${pages.length} pages, ${blockCount} blocks)`);
+      console.log(`Existing pages: ${options.existing}${options.preserveUids ? ', preserving UIDs' : ''}`);
+      console.log('');
+      for (const page of pages) {
+        console.log(`  ${page.title} (${countBlocks(page.children)} blocks)`);
+      }
+      process.exit(0);
+    }
+
+    // Load config for actual API calls
+    const config = loadConfig(options);
+
+    console.log(`Importing into Roam Research graph: ${config.graphName}`);
+    console.log(`Snapshot: ${options.file} (${pages.length} pages, ${blockCount} blocks)`);
+    console.log('');
+
+    const existingPages = await queryExisting(config, ':node/title', pages.map(page => page.title), options.batchSize);
+    const existingUids = options.preserveUids
+      ? await queryExisting(config, ':block/uid', pages.reduce((uids, page) => collectBlockUids(page.children, uids), []), options.batchSize)
+      : new Map();
+
+    // Without --preserve-uids, merged pages are matched block by block on text
+    const mergedUids = options.existing === 'merge' && !options.preserveUids
+      ? pages.filter(page => existingPages.has(page.title)).map(page => existingPages.get(page.title))
+      : [];
+    const existingTrees = await queryPageTrees(config, mergedUids, options.batchSize);
+
+    const plan = { createdPages: [], mergedPages: [], skippedPages: [], skippedBlocks: [] };
+    const actions = buildImportActions(pages, existingPages, existingUids, existingTrees, options, plan);
+
+    const results = {
+      written: [],
+      failed: []
+    };
+
+    await writeActions(config, actions, options.batchSize, results);
+
+    console.log('\n');
+    console.log('Summary:');
+    console.log(`  ✓ Pages created: ${plan.createdPages.length}`);
+    console.log(`  ✓ Pages merged: ${plan.mergedPages.length}`);
+    console.log(`  - Pages skipped (already exist): ${plan.skippedPages.length}`);
+    console.log(`  ✓ Actions written: ${results.written.length}`);
+    if (plan.skippedBlocks.length > 0) {
+      console.log(`  - Blocks skipped (already in the graph): ${plan.skippedBlocks.length}`);
+    }
+    console.log(`  ✗ Failed: ${results.failed.length}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    if (journal.count > 0) {
+      console.log(`  Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+    }
+    console.log('');
+
+    if (plan.skippedPages.length > 0) {
+      console.log('Skipped pages (use --existing merge to add their blocks):');
+      plan.skippedPages.forEach((title, i) => console.log(`  ${i + 1}. ${title}`));
+      console.log('');
+    }
+
+    if (results.failed.length > 0) {
+      console.log('Failed:');
+      results.failed.forEach(({ content, error }, i) => {
+        const preview = content.length > 60 ? content.substring(0, 57) + '...' : content;
+        console.log(`  ${i + 1}. ${preview}: ${error}`);
+      });
+      console.log('');
+    }
+
+    // Exit with error if anything failed
+    if (results.failed.length > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('');
+    console.error('✗ Fatal error:');
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main();
@@ -0,0 +1,377 @@
+#!/usr/bin/env node
+
+const { spawn } = require('child_process');
+const path = require('path');
+const readline = require('readline');
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: mcp-server.js
+
+Serve the Roam Research scripts as Model Context Protocol (MCP) tools over
+stdio (newline-delimited JSON-RPC on stdin/stdout). Each tool call runs
+read-content.js, create-pages.js or write-content.js with the same
+configuration and returns its output.
+
+Tools:
+  read_page              Read a page's (or daily notes page's) block tree as JSON
+  get_references         Find blocks that reference a page
+  get_modified_pages     List pages modified today, since a time, or in a range
+  search                 Find pages and blocks containing text
+  create_pages           Create pages
+  write_content          Write an outline of blocks to a page or under a block
+
+Every tool takes an optional "graph" argument naming a config file profile.
+
+Options:
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+  ROAM_JOURNAL           Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
+Examples:
+  # Register with an MCP client that launches stdio servers
+  {
+    "mcpServers": {
+      "roam-research": {
+        "command": "node",
+        "args": ["/path/to/scripts/mcp-server.js"],
+        "env": { "ROAM_GRAPH_NAME": "my-graph", "ROAM_API_TOKEN": "roam-graph-token-xxx" }
+      }
+    }
+  }
+`);
+}
+
+// Name and version reported to MCP clients
+const SERVER_INFO = { name: 'roam-research', version: '1.1.0' };
+
+// Protocol versions this server speaks, and the one offered when the client
+// asks for a version not in the list
+const SUPPORTED_PROTOCOL_VERSIONS = ['2024-11-05', '2025-03-26', '2025-06-18'];
+const PROTOCOL_VERSION = '2024-11-05';
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Schema of the "graph" argument every tool accepts
+const GRAPH_PROPERTY = {
+  type: 'string',
+  description: 'Graph profile from the config file (default: ROAM_GRAPH_NAME / ROAM_API_TOKEN or the default profile)'
+};
+
+// Tool definitions: name, description, JSON schema of the arguments, and how
+// a call maps to a script invocation ({ script, args, input })
+const TOOLS = [
+  {
+    name: 'read_page',
+    description: 'Read the block tree of a page, or of the daily notes page for a date. Returns JSON { title, uid, blocks } where each block has uid, string and children.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Page title' },
+        date: { type: 'string', description: 'Daily notes date instead of a title: YYYY-MM-DD, today, yesterday, -3d, "last friday"' },
+        maxDepth: { type: 'integer', minimum: 0, description: 'Levels of child blocks to read (default: 10)' },
+        resolveRefs: { type: 'boolean', description: 'Replace ((uid)) block references with their text and expand embeds' },
+        graph: GRAPH_PROPERTY
+      }
+    },
+    build(params) {
+      requireOne(params, ['title', 'date']);
+      const args = params.title !== undefined ? ['--page', params.title] : ['--date', params.date];
+      if (params.maxDepth !== undefined) args.push('--max-depth', String(params.maxDepth));
+      if (params.resolveRefs) args.push('--resolve-refs');
+      return { script: 'read-content.js', args: args.concat('--json') };
+    }
+  },
+  {
+    name: 'get_references',
+    description: 'Find all blocks that reference (link to) a page, grouped by the page they are on. Returns JSON.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Title of the referenced page' },
+        graph: GRAPH_PROPERTY
+      },
+      required: ['title']
+    },
+    build(params) {
+      requireString(params, 'title');
+      return { script: 'read-content.js', args: ['--references', params.title, '--json'] };
+    }
+  },
+  {
+    name: 'get_modified_pages',
+    description: 'List pages modified today (default), since a date or duration, or between two dates, most recent first. Returns JSON.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        since: { type: 'string', description: 'Date (YYYY-MM-DD or ISO timestamp) or duration ago (30m, 12h, 7d, 2w)' },
+        until: { type: 'string', description: 'End date (inclusive); requires since' },
+        blocks: { type: 'boolean', description: 'Include the blocks that changed on each page' },
+        graph: GRAPH_PROPERTY
+      }
+    },
+    build(params) {
+      if (params.until !== undefined && params.since === undefined) {
+        throw invalidParams('"until" requires "since"');
+      }
+      let args = ['--modified-today'];
+      if (params.until !== undefined) {
+        args = ['--modified-between', requireString(params, 'since'), requireString(params, 'until')];
+      } else if (params.since !== undefined) {
+        args = ['--modified-since', requireString(params, 'since')];
+      }
+      if (params.blocks) args.push('--blocks');
+      return { script: 'read-content.js', args: args.concat('--json') };
+    }
+  },
+  {
+    name: 'search',
+    description: 'Find pages whose title and blocks whose text contain the given text, with the page and parent blocks of each block. Returns JSON.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to search for' },
+        regex: { type: 'boolean', description: 'Treat text as a regular expression' },
+        ignoreCase: { type: 'boolean', description: 'Match case-insensitively' },
+        limit: { type: 'integer', minimum: 1, description: 'Maximum number of results (default: 50)' },
+        graph: GRAPH_PROPERTY
+      },
+      required: ['text']
+    },
+    build(params) {
+      const args = ['--search', requireString(params, 'text')];
+      if (params.regex) args.push('--regex');
+      if (params.ignoreCase) args.push('--ignore-case');
+      if (params.limit !== undefined) args.push('--limit', String(params.limit));
+      return { script: 'read-content.js', args: args.concat('--json') };
+    }
+  },
+  {
+    name: 'create_pages',
+    description: 'Create pages by title. Pages that already exist are skipped. Returns a summary of created, skipped and failed pages.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        titles: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Page titles, e.g. ["2026/January", "Project Alpha"]' },
+        childrenViewType: { type: 'string', enum: ['bullet', 'numbered', 'document'], description: 'How the page shows its children' },
+        graph: GRAPH_PROPERTY
+      },
+      required: ['titles']
+    },
+    build(params) {
+      if (!Array.isArray(params.titles) || params.titles.length === 0 || !params.titles.every(title => typeof title === 'string')) {
+        throw invalidParams('"titles" must be a non-empty array of strings');
+      }
+      // Titles are sent as they are, including ones starting with "#"
+      const args = ['--stdin', '--no-comments'];
+      if (params.childrenViewType !== undefined) args.push('--children-view-type', params.childrenViewType);
+      return { script: 'create-pages.js', args, input: params.titles.join('\n') };
+    }
+  },
+  {
+    name: 'write_content',
+    description: 'Write blocks to a page (created if missing), a daily notes page, or under a block. Returns a summary of the written blocks.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Blocks to write, one per line; indent a line (spaces, tabs or "- " bullets) to nest it under the line above. A leading "- " bullet is not part of the text. Supports Roam markdown, including lines starting with "#"' },
+        page: { type: 'string', description: 'Title of the target page' },
+        date: { type: 'string', description: 'Daily notes date of the target page: YYYY-MM-DD, today, yesterday, -3d' },
+        parentUid: { type: 'string', description: 'UID of the block or page to write under' },
+        under: { type: 'string', description: 'Write under the block on the target page with this text (created if missing)' },
+        order: { type: 'string', description: 'Position of the new blocks: first, last (default) or a 0-based index' },
+        dedupe: { type: 'boolean', description: 'Skip blocks whose text is already there' },
+        idempotencyKey: { type: 'string', description: 'Key for retries: blocks already written with the same key are skipped' },
+        graph: GRAPH_PROPERTY
+      },
+      required: ['content']
+    },
+    build(params) {
+      const content = requireString(params, 'content');
+      const target = requireOne(params, ['page', 'date', 'parentUid']);
+      const args = [{ page: '--page', date: '--date', parentUid: '--parent-uid' }[target], params[target]];
+      if (params.under !== undefined) args.push('--under', requireString(params, 'under'));
+      if (params.order !== undefined) args.push('--order', requireString(params, 'order'));
+      if (params.dedupe) args.push('--dedupe');
+      if (params.idempotencyKey !== undefined) args.push('--idempotency-key', requireString(params, 'idempotencyKey'));
+
+      // Single lines and outlines are both parsed from stdin, so bullets are
+      // handled the same way, and lines starting with "#" are kept
+      return { script: 'write-content.js', args: args.concat('--stdin', '--no-comments'), input: content };
+    }
+  }
+];
+
+// Error for tool arguments that don't match the schema
+function invalidParams(message) {
+  const error = new Error(message);
+  error.code = INVALID_PARAMS;
+  return error;
+}
+
+// Check that an argument is a non-empty string and return it
+function requireString(params, name) {
+  if (typeof params[name] !== 'string' || !params[name].trim()) {
+    throw invalidParams(`"${name}" must be a non-empty string`);
+  }
+  return params[name];
+}
+
+// Check that exactly one of the given arguments is set and return its name
+function requireOne(params, names) {
+  const given = names.filter(name => params[name] !== undefined);
+  if (given.length !== 1) {
+    throw invalidParams(`Specify exactly one of ${names.map(name => `"${name}"`).join(', ')}`);
+  }
+  requireString(params, given[0]);
+  return given[0];
+}
+
+// Run a script with the server's environment and return its exit code and output
+function runScript(script, args, input) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script)].concat(args), {
+      env: process.env,
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (err) => resolve({ code: 1, stdout, stderr: err.message }));
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+    // Scripts that don't read stdin may exit before it is written
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+  });
+}
+
+// Run a tool and wrap its output as an MCP tool result. Script failures
+// (page not found, API errors) are results with isError so the model sees them.
+async function callTool(name, params) {
+  const tool = TOOLS.find(t => t.name === name);
+  if (!tool) {
+    throw invalidParams(`Unknown tool: ${name}`);
+  }
+
+  const { script, args, input } = tool.build(params);
+  if (params.graph !== undefined) {
+    args.push('--graph', requireString(params, 'graph'));
+  }
+
+  const result = await runScript(script, args, input);
+  if (result.code !== 0) {
+    const message = [result.stderr.trim(), result.stdout.trim()].filter(Boolean).join('\n');
+    return { content: [{ type: 'text', text: message || `${script} exited with code ${result.code}` }], isError: true };
+  }
+  return { content: [{ type: 'text', text: result.stdout.trim() }] };
+}
+
+// Handle one JSON-RPC request and return its result (notifications return nothing)
+async function handleRequest(method, params) {
+  switch (method) {
+    case 'initialize':
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSION,
+        capabilities: { tools: {} },
+        serverInfo: SERVER_INFO
+      };
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+    case 'tools/call':
+      if (!params.name) {
+        throw invalidParams('Missing tool name');
+      }
+      return await callTool(params.name, params.arguments || {});
+    default: {
+      const error = new Error(`Method not found: ${method}`);
+      error.code = METHOD_NOT_FOUND;
+      throw error;
+    }
+  }
+}
+
+// Write a JSON-RPC message to stdout, one per line
+function send(message) {
+  process.stdout.write(JSON.stringify(Object.assign({ jsonrpc: '2.0' }, message)) + '\n');
+}
+
+// Parse and answer one line from stdin
+async function handleLine(line) {
+  if (!line.trim()) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (err) {
+    send({ id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+    return;
+  }
+
+  if (!message || typeof message.method !== 'string') {
+    if (message && message.id !== undefined) {
+      send({ id: message.id, error: { code: INVALID_REQUEST, message: 'Invalid request' } });
+    }
+    return;
+  }
+
+  // Notifications (no id) such as notifications/initialized need no answer
+  const isNotification = message.id === undefined || message.id === null;
+  try {
+    const result = await handleRequest(message.method, message.params || {});
+    if (!isNotification) {
+      send({ id: message.id, result });
+    }
+  } catch (error) {
+    if (!isNotification) {
+      const code = typeof error.code === 'number' ? error.code : INTERNAL_ERROR;
+      send({ id: message.id, error: { code, message: error.message || String(error) } });
+    }
+  }
+}
+
+// Main function
+function main() {
+  if (process.argv.slice(2).some(arg => arg === '--help' || arg === '-h')) {
+    showUsage();
+    process.exit(0);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const pending = new Set();
+
+  // Requests are answered as they finish, so a slow write doesn't hold up reads
+  rl.on('line', (line) => {
+    const call = handleLine(line)
+      .catch((error) => console.error(`Error: ${error.message || error}`))
+      .then(() => pending.delete(call));
+    pending.add(call);
+  });
+
+  // Finish calls still running when the client closes stdin
+  rl.on('close', () => {
+    Promise.all(Array.from(pending)).then(() => process.exit(0));
+  });
+
+  console.error(`Roam Research MCP server ${SERVER_INFO.version} running on stdio`);
+}
+
+// Run main function
+main();
@@ -1,6 +1,13 @@
 #!/usr/bin/env node
 
 const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// Levels of child blocks read below a page or block unless --max-depth is given
+const DEFAULT_MAX_DEPTH = 10;
 
 // Show usage information
 function showUsage() {
@@ -11,30 +18,136 @@ Read content from Roam Research pages.
 
 Options:
   --page <title>       Read the full block tree of a page
+  --date <date>        Read the daily notes page for a date: YYYY-MM-DD, today,
+                       yesterday, -3d, "last friday", "next monday"
+  --journal <from> <to>
+                       Read every daily notes page in a date range (same
+                       date formats as --date) as one document
+  --block <uid>        Read a single block and its subtree
   --references <title> Find all blocks that reference (backlink) a page
+  --unlinked-references <title>
+                       Find blocks mentioning a page (or its Aliases::) as
+                       plain text without linking to it
   --modified-today     List pages with blocks modified today
+  --modified-since <date|duration>
+                       List pages modified since a date (YYYY-MM-DD or ISO
+                       timestamp) or duration ago (e.g. 30m, 12h, 7d, 2w)
+  --modified-between <from> <to>
+                       List pages modified between two dates (inclusive)
+  --search <text>      Find pages and blocks containing text
+  --tasks              List {{[[TODO]]}} / {{[[DONE]]}} tasks across the graph
+                       (filter with --page/--date, --tag, --status, --from, --to)
+  --attributes <title> List a page's "Key:: value" attributes as structured fields
+  --where <Key::Value> List pages whose attribute matches (repeatable; all must
+                       match; an empty value matches any page with the attribute)
+  --query <datalog>    Run a raw Datalog query
+  --query-file <path>  Run a raw Datalog query read from a file
   --json               Output results as JSON (for programmatic use)
+  --resolve-refs       Replace ((uid)) block references with the referenced text
+                       and expand {{embed: ((uid))}} as nested blocks (with
+                       --page, --date, --journal, or --block)
+  --ref-depth <n>      Levels of nested references/embeds to resolve (default: 3)
+  --apply <all|uid,uid>
+                       Convert the --unlinked-references mentions in all (or
+                       the given) blocks into [[links]] (recorded in the
+                       journal, so undo.js can revert them)
+  --dry-run            Show the block text before and after --apply without
+                       changing anything
+  --max-depth <n>      Levels of child blocks to read with --page, --date,
+                       --journal, or --block (default: 10)
+  --with-ancestors     Include the path from the page down to the --block
+  --format <format>    Export a page, journal or block as markdown, html or org
+  --out <path>         Write the page, journal or block output to a file instead of stdout
+  --status <status>    Task status for --tasks: todo, done or all (default: all)
+  --tag <title>        Only --tasks whose block references this page or tag
+  --from <date|duration>
+                       Only --tasks created since a date or duration ago
+  --to <date|duration> Only --tasks created up to a date (inclusive)
+  --fields <a,b>       Extra attribute columns to show with --where
+  --csv                Output --where results as CSV
+  --blocks             Show which blocks changed on each modified page
+  --regex              Treat the --search text as a regular expression
+  --ignore-case        Match --search text case-insensitively
+  --limit <n>          Maximum number of --search results (default: 50)
+  --arg <value>        Bind a --query input (repeatable, in :in order after $;
+                       JSON values are parsed, anything else is a string)
+  --rules <edn|path>   Rules bound to % in a --query (EDN text or a file)
+  --graph <profile>    Use a graph profile from the config file
+  --max-attempts <n>   Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>  Request timeout in seconds (default: 30)
   --help               Show this help message
 
-Environment Variables (required):
+Environment Variables (required unless a config file profile is used):
   ROAM_API_TOKEN       Your Roam Research API token (starts with roam-graph-token-)
   ROAM_GRAPH_NAME      Your Roam Research graph name
 
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS    Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT         Request timeout in seconds (default: 30)
+  ROAM_CONFIG          Config file with graph profiles
+
 Examples:
   # Read a page's content
   read-content.js --page "Project Alpha"
 
   # Read today's daily notes
-  read-content.js --page "February 8th, 2026"
+  read-content.js --date today
+
+  # Read last Friday's daily notes
+  read-content.js --date "last friday"
+
+  # Read a block found in a backlink, two levels deep, with its parent blocks
+  read-content.js --block abc123XYZ --max-depth 2 --with-ancestors
+
+  # Read a page with block references and embeds resolved
+  read-content.js --page "Project Alpha" --resolve-refs
+
+  # Export the last month of daily notes as one Markdown document
+  read-content.js --journal -30d today --format markdown --out journal.md
 
   # Find all references/backlinks to a page
   read-content.js --references "Project Alpha"
 
+  # Find plain-text mentions of a page, then link two of them
+  read-content.js --unlinked-references "Project Alpha"
+  read-content.js --unlinked-references "Project Alpha" --apply abc123XYZ,def456UVW
+
   # List pages modified today
   read-content.js --modified-today
 
+  # List pages modified in the last week, with the blocks that changed
+  read-content.js --modified-since 7d --blocks
+
+  # List pages modified during January 2026
+  read-content.js --modified-between 2026-01-01 2026-01-31
+
+  # Search the graph for text (case-insensitive)
+  read-content.js --search "quarterly review" --ignore-case
+
+  # Search with a regular expression
+  read-content.js --search "v[0-9]+\\.[0-9]+" --regex --limit 20
+
+  # List open tasks tagged #urgent
+  read-content.js --tasks --status todo --tag urgent
+
+  # List open tasks on a page
+  read-content.js --tasks --status todo --page "Project Alpha"
+
+  # Show a project's attributes
+  read-content.js --attributes "Project Alpha"
+
+  # List active projects with their owner as CSV
+  read-content.js --where "Type::Project" --where "Status::Active" --fields Owner --csv
+
+  # Run an ad-hoc Datalog query with a bound argument
+  read-content.js --query '[:find ?title :in $ ?prefix :where [?p :node/title ?title]
+    [(clojure.string/starts-with? ?title ?prefix)]]' --arg "2026/"
+
   # Get JSON output for programmatic use
   read-content.js --page "Project Alpha" --json
+
+  # Export a page to a Markdown file
+  read-content.js --page "Project Alpha" --format markdown --out project-alpha.md
 `);
 }
 
@@ -43,9 +156,44 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const options = {
     page: null,
+    date: null,
+    journal: null,
+    block: null,
     references: null,
+    unlinkedReferences: null,
+    apply: null,
+    dryRun: false,
     modifiedToday: false,
+    modifiedSince: null,
+    modifiedBetween: null,
+    blocks: false,
+    search: null,
+    tasks: false,
+    status: 'all',
+    tag: null,
+    from: null,
+    to: null,
+    attributes: null,
+    where: [],
+    fields: [],
+    csv: false,
+    regex: false,
+    ignoreCase: false,
+    limit: 50,
+    query: null,
+    queryFile: null,
+    queryArgs: [],
+    rules: null,
     json: false,
+    resolveRefs: false,
+    refDepth: 3,
+    maxDepth: DEFAULT_MAX_DEPTH,
+    withAncestors: false,
+    format: null,
+    out: null,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
     help: false
   };
 
@@ -59,16 +207,133 @@ function parseArgs() {
       case '-p':
         options.page = args[++i];
         break;
+      case '--date':
+      case '-d':
+        options.date = args[++i];
+        break;
+      case '--journal':
+        options.journal = [args[++i], args[++i]];
+        break;
+      case '--block':
+      case '-b':
+        options.block = args[++i];
+        break;
       case '--references':
       case '-r':
         options.references = args[++i];
         break;
+      case '--unlinked-references':
+        options.unlinkedReferences = args[++i];
+        break;
+      case '--apply':
+        options.apply = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
       case '--modified-today':
         options.modifiedToday = true;
         break;
+      case '--modified-since':
+        options.modifiedSince = args[++i];
+        break;
+      case '--modified-between':
+        options.modifiedBetween = [args[++i], args[++i]];
+        break;
+      case '--blocks':
+        options.blocks = true;
+        break;
+      case '--search':
+      case '-s':
+        options.search = args[++i];
+        break;
+      case '--tasks':
+        options.tasks = true;
+        break;
+      case '--status':
+        options.status = args[++i];
+        break;
+      case '--tag':
+        options.tag = args[++i];
+        break;
+      case '--from':
+        options.from = args[++i];
+        break;
+      case '--to':
+        options.to = args[++i];
+        break;
+      case '--attributes':
+      case '-a':
+        options.attributes = args[++i];
+        break;
+      case '--where':
+      case '-w':
+        options.where.push(args[++i]);
+        break;
+      case '--fields':
+        options.fields = (args[++i] || '').split(',').map(f => f.trim()).filter(f => f);
+        if (options.fields.length === 0) {
+          console.error('Error: --fields requires attribute names (e.g. --fields Owner,Status)');
+          process.exit(1);
+        }
+        break;
+      case '--csv':
+        options.csv = true;
+        break;
+      case '--regex':
+        options.regex = true;
+        break;
+      case '--ignore-case':
+      case '-i':
+        options.ignoreCase = true;
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i], 10);
+        break;
+      case '--query':
+      case '-q':
+        options.query = args[++i];
+        break;
+      case '--query-file':
+        options.queryFile = args[++i];
+        break;
+      case '--arg':
+        options.queryArgs.push(parseQueryArg(args[++i]));
+        break;
+      case '--rules':
+        options.rules = args[++i];
+        break;
       case '--json':
         options.json = true;
         break;
+      case '--resolve-refs':
+        options.resolveRefs = true;
+        break;
+      case '--ref-depth':
+        options.refDepth = parseInt(args[++i], 10);
+        break;
+      case '--max-depth':
+        options.maxDepth = parseInt(args[++i], 10);
+        break;
+      case '--with-ancestors':
+        options.withAncestors = true;
+        break;
+      case '--format':
+        options.format = args[++i];
+        break;
+      case '--out':
+      case '-o':
+        options.out = args[++i];
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
       default:
         console.error(`Unknown option: ${args[i]}`);
         process.exit(1);
@@ -78,13 +343,187 @@ function parseArgs() {
   return options;
 }
 
-// Load configuration from environment variables
-function loadConfig() {
-  const graphName = process.env.ROAM_GRAPH_NAME;
-  const apiToken = process.env.ROAM_API_TOKEN;
+// Parse a --arg value: JSON literals (numbers, quoted strings, arrays) are
+// decoded, anything else is passed through as a string
+function parseQueryArg(value) {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// Format a date in Roam Research daily notes format
+// Roam uses: "February 5th, 2026"
+function getRoamDateTitle(date = new Date()) {
+  const months = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ];
+
+  const month = months[date.getMonth()];
+  const day = date.getDate();
+  const year = date.getFullYear();
+  const suffix = getOrdinalSuffix(day);
+
+  return `${month} ${day}${suffix}, ${year}`;
+}
+
+// Format a local date as YYYY-MM-DD
+function formatIsoDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Get ordinal suffix for a day number
+function getOrdinalSuffix(day) {
+  if (day >= 11 && day <= 13) return 'th';
+  switch (day % 10) {
+    case 1: return 'st';
+    case 2: return 'nd';
+    case 3: return 'rd';
+    default: return 'th';
+  }
+}
+
+// Build a local date from YYYY-MM-DD parts, or null when they don't name a
+// real day (2026-02-30 or 2026-13-01 would otherwise roll over)
+function buildCalendarDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  date.setFullYear(year);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Parse a --date value into a local date. Accepts YYYY-MM-DD, today,
+// yesterday, tomorrow, day offsets (-3d, +1w, "3 days ago"), and weekdays
+// ("friday" or "last friday" for the most recent one before today,
+// "next monday" for the first one after today).
+function parseDateSpec(value, now = new Date()) {
+  const spec = (value || '').trim().toLowerCase();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const addDays = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+  const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  if (spec === 'today') return today;
+  if (spec === 'yesterday') return addDays(-1);
+  if (spec === 'tomorrow') return addDays(1);
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(spec);
+  if (iso) {
+    return buildCalendarDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+  }
+
+  const offset = /^([+-]?\d+)\s*([dw])$/.exec(spec);
+  if (offset) {
+    return addDays(parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1));
+  }
+
+  const ago = /^(\d+)\s+(day|week)s?\s+ago$/.exec(spec);
+  if (ago) {
+    return addDays(-parseInt(ago[1], 10) * (ago[2] === 'week' ? 7 : 1));
+  }
+
+  const weekday = /^(?:(last|next)\s+)?([a-z]+)$/.exec(spec);
+  if (weekday && weekdays.includes(weekday[2])) {
+    const target = weekdays.indexOf(weekday[2]);
+    if (weekday[1] === 'next') {
+      return addDays(((target - today.getDay() + 6) % 7) + 1);
+    }
+    return addDays(-(((today.getDay() - target + 6) % 7) + 1));
+  }
+
+  return null;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
 
   if (!graphName || !apiToken) {
-    console.error('Error: Required environment variables not set');
+    console.error('Error: No Roam Research graph configured');
     console.error('');
     console.error('Please set the following environment variables:');
     console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
@@ -94,10 +533,73 @@ function loadConfig() {
     console.error('  export ROAM_GRAPH_NAME="my-graph"');
     console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
     console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
     process.exit(1);
   }
 
-  return { graphName, apiToken };
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
 }
 
 // Make HTTPS request (shared helper)
@@ -124,7 +626,7 @@ function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
               if (redirectRes.statusCode === 200) {
                 resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
               } else {
-                reject({ statusCode: redirectRes.statusCode, message: data });
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
               }
             });
           });
@@ -142,7 +644,7 @@ function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
           if (res.statusCode === 200) {
             resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
           } else {
-            reject({ statusCode: res.statusCode, message: data });
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
           }
         });
       });
@@ -175,10 +677,10 @@ async function runQuery(config, query, queryArgs) {
       'Authorization': `Bearer ${config.apiToken}`,
       'Accept': 'application/json'
     },
-    timeout: 30000
+    timeout: config.timeout
   };
 
-  const response = await makeHttpsRequest(options, payload);
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
 
   if (response.data && response.data.result) {
     return response.data.result;
@@ -215,8 +717,50 @@ async function fetchChildren(config, parentUid) {
     .sort((a, b) => a.order - b.order);
 }
 
-// Recursively build the block tree
-async function buildBlockTree(config, parentUid, depth = 0, maxDepth = 10) {
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Convert a pulled entity's children into the sorted block tree shape
+function pulledChildrenToTree(entity, depth, maxDepth) {
+  const children = pullAttr(entity, 'block/children');
+  if (!Array.isArray(children) || depth >= maxDepth) return [];
+
+  return children
+    .map(child => ({
+      uid: pullAttr(child, 'block/uid'),
+      string: pullAttr(child, 'block/string') || '',
+      order: pullAttr(child, 'block/order'),
+      children: pulledChildrenToTree(child, depth + 1, maxDepth)
+    }))
+    .sort((a, b) => a.order - b.order);
+}
+
+// Fetch the block tree under a UID, maxDepth levels deep, with a single
+// recursive pull (the depth limit is part of the pull pattern, so deeper
+// blocks are never downloaded)
+async function pullBlockTree(config, parentUid, maxDepth = DEFAULT_MAX_DEPTH) {
+  if (maxDepth < 1) return [];
+
+  const query = `[:find (pull ?e [:block/uid :block/string :block/order {:block/children ${maxDepth}}])
+ :in $ ?uid
+ :where [?e :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [parentUid]);
+
+  if (result.length === 0 || !result[0][0]) {
+    const error = new Error(`Pull query returned no entity for uid "${parentUid}"`);
+    error.noEntity = true;
+    throw error;
+  }
+
+  return pulledChildrenToTree(result[0][0], 0, maxDepth);
+}
+
+// Recursively build the block tree (one query per block, used as a fallback)
+async function buildBlockTree(config, parentUid, depth = 0, maxDepth = DEFAULT_MAX_DEPTH) {
   if (depth >= maxDepth) return [];
 
   const children = await fetchChildren(config, parentUid);
@@ -235,6 +779,110 @@ async function buildBlockTree(config, parentUid, depth = 0, maxDepth = 10) {
   return blocks;
 }
 
+// Fetch the block tree, preferring the single pull query over the N+1 fallback.
+// Only a pull the API rejects as a bad query (HTTP 400) or one that returns
+// no entity falls back; auth, graph and network errors are rethrown.
+async function fetchBlockTree(config, parentUid, maxDepth = DEFAULT_MAX_DEPTH) {
+  try {
+    return await pullBlockTree(config, parentUid, maxDepth);
+  } catch (err) {
+    if (err.statusCode !== 400 && !err.noEntity) {
+      throw err;
+    }
+    return await buildBlockTree(config, parentUid, 0, maxDepth);
+  }
+}
+
+// Block references ((uid)) and embeds {{embed: ((uid))}} / {{[[embed]]: ((uid))}}
+const BLOCK_REF_PATTERN = /\(\(([^()\s]+)\)\)/g;
+const EMBED_PATTERN = /\{\{\s*(?:\[\[)?embed(?:\]\])?\s*:\s*\(\(([^()\s]+)\)\)\s*\}\}/g;
+
+// Collect the UIDs matched by a pattern in a string
+function collectUids(string, pattern) {
+  const regex = new RegExp(pattern.source, 'g');
+  const uids = [];
+  let match;
+  while ((match = regex.exec(string)) !== null) {
+    uids.push(match[1]);
+  }
+  return uids;
+}
+
+// Look up block strings by UID in one query, caching results (null = not found)
+async function lookupBlockStrings(config, uids, cache) {
+  const missing = [...new Set(uids)].filter(uid => !cache.has(uid));
+  if (missing.length === 0) return;
+
+  const query = `[:find ?uid ?string
+ :in $ [?uid ...]
+ :where [?block :block/uid ?uid]
+        [?block :block/string ?string]]`;
+
+  const result = await runQuery(config, query, [missing]);
+  missing.forEach(uid => cache.set(uid, null));
+  for (const [uid, string] of result) {
+    cache.set(uid, string);
+  }
+}
+
+// Replace ((uid)) references in a string with the referenced text. The stack
+// holds the UIDs being resolved, so cycles are left as ((uid)), as are
+// references nested deeper than maxDepth.
+async function resolveRefsInString(config, string, cache, stack, depth, maxDepth) {
+  const uids = collectUids(string, BLOCK_REF_PATTERN);
+  if (uids.length === 0 || depth >= maxDepth) return string;
+
+  await lookupBlockStrings(config, uids, cache);
+
+  const resolved = new Map();
+  for (const uid of new Set(uids)) {
+    if (cache.get(uid) === null || stack.includes(uid)) continue;
+    resolved.set(uid, await resolveRefsInString(config, cache.get(uid), cache, stack.concat(uid), depth + 1, maxDepth));
+  }
+
+  return string.replace(BLOCK_REF_PATTERN, (match, uid) => resolved.has(uid) ? resolved.get(uid) : match);
+}
+
+// Resolve references in a block tree and expand embeds: the embed macro is
+// replaced with the embedded block's text and its children are placed before
+// the block's own children, marked as embedded
+async function resolveBlockTree(config, blocks, cache, stack, depth, maxDepth) {
+  const prefetch = [];
+  const collect = (list) => list.forEach(block => {
+    prefetch.push(...collectUids(block.string, BLOCK_REF_PATTERN));
+    collect(block.children || []);
+  });
+  collect(blocks);
+  await lookupBlockStrings(config, prefetch, cache);
+
+  for (const block of blocks) {
+    const blockStack = stack.concat(block.uid);
+    const embedded = [];
+    const embeds = [];
+
+    if (depth < maxDepth) {
+      for (const uid of new Set(collectUids(block.string, EMBED_PATTERN))) {
+        if (cache.get(uid) === null || blockStack.includes(uid)) continue;
+        const children = await resolveBlockTree(config, await fetchBlockTree(config, uid), cache, blockStack.concat(uid), depth + 1, maxDepth);
+        children.forEach(child => embedded.push(Object.assign(child, { embedded: true })));
+        embeds.push(uid);
+      }
+    }
+
+    // An expanded embed macro becomes a plain reference, resolved to its text below
+    const string = block.string.replace(EMBED_PATTERN, (match, uid) => embeds.includes(uid) ? `((${uid}))` : match);
+    block.string = await resolveRefsInString(config, string, cache, blockStack, depth, maxDepth);
+
+    const children = await resolveBlockTree(config, block.children || [], cache, stack, depth, maxDepth);
+    block.children = embedded.concat(children);
+    if (embeds.length > 0) {
+      block.embeds = embeds;
+    }
+  }
+
+  return blocks;
+}
+
 // Format block tree as indented text
 function formatBlockTree(blocks, indent = 0) {
   let output = '';
@@ -250,81 +898,357 @@ function formatBlockTree(blocks, indent = 0) {
   return output;
 }
 
-// Feature 1: Read page content
-async function readPage(config, pageTitle, jsonOutput) {
-  const uid = await queryPageUid(config, pageTitle);
+// Export formats supported by --format
+const EXPORT_FORMATS = ['markdown', 'html', 'org'];
 
-  if (!uid) {
-    console.error(`Error: Page "${pageTitle}" not found.`);
-    process.exit(1);
+// Inline Roam syntax: TODO/DONE markers, #[[tags]], [[links]], [text](url), #tags,
+// **bold**, __italic__ and ^^highlight^^
+const INLINE_PATTERN = /\{\{\[\[(TODO|DONE)\]\]\}\}\s?|\{\{(TODO|DONE)\}\}\s?|#\[\[([^\[\]]+)\]\]|\[\[([^\[\]]+)\]\]|\[([^\[\]]+)\]\(([^()\s]+)\)|(?<=^|[\s(])#([^\s\[\](){}#,;!?"']+)|\*\*(.+?)\*\*|__(.+?)__|\^\^(.+?)\^\^/g;
+
+// Escape text for HTML output
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render a link to another page in the target format
+function renderPageLink(title, label, format) {
+  switch (format) {
+    case 'html':
+      return `<a href="${escapeHtml(encodeURIComponent(title))}.html">${escapeHtml(label)}</a>`;
+    case 'org':
+      return `[[file:${title}.org][${label}]]`;
+    default:
+      return `[${label}](${encodeURIComponent(title)}.md)`;
   }
+}
 
-  const blocks = await buildBlockTree(config, uid);
+// Render a single inline Roam syntax match in the target format
+function renderInlineMatch(match, format) {
+  const [, todo, shortTodo, tagLink, pageLink, linkText, linkUrl, tag, bold, italic, highlight] = match;
+  const status = todo || shortTodo;
 
-  if (jsonOutput) {
-    console.log(JSON.stringify({ title: pageTitle, uid, blocks }, null, 2));
-  } else {
-    console.log(`Page: "${pageTitle}" (uid: ${uid})`);
-    if (blocks.length === 0) {
-      console.log('  (empty page)');
-    } else {
-      console.log(formatBlockTree(blocks));
-    }
+  if (status) {
+    const done = status === 'DONE';
+    if (format === 'html') return `<input type="checkbox" disabled${done ? ' checked' : ''}> `;
+    if (format === 'org') return done ? '[X] ' : '[ ] ';
+    return done ? '[x] ' : '[ ] ';
+  }
+  if (tagLink) return renderPageLink(tagLink, `#${tagLink}`, format);
+  if (pageLink) return renderPageLink(pageLink, pageLink, format);
+  if (tag) return renderPageLink(tag, `#${tag}`, format);
+  if (linkText) {
+    if (format === 'html') return `<a href="${escapeHtml(linkUrl)}">${renderInline(linkText, format)}</a>`;
+    if (format === 'org') return `[[${linkUrl}][${linkText}]]`;
+    return match[0];
+  }
+  if (bold) {
+    if (format === 'html') return `<strong>${renderInline(bold, format)}</strong>`;
+    if (format === 'org') return `*${renderInline(bold, format)}*`;
+    return `**${renderInline(bold, format)}**`;
+  }
+  if (italic) {
+    if (format === 'html') return `<em>${renderInline(italic, format)}</em>`;
+    if (format === 'org') return `/${renderInline(italic, format)}/`;
+    return `*${renderInline(italic, format)}*`;
   }
+  if (highlight) {
+    // Org-mode has no highlight markup, so highlights are rendered bold
+    if (format === 'html') return `<mark>${renderInline(highlight, format)}</mark>`;
+    if (format === 'org') return `*${renderInline(highlight, format)}*`;
+    return `==${renderInline(highlight, format)}==`;
+  }
+  return match[0];
 }
 
-// Feature 2: Read references/backlinks
-async function readReferences(config, pageTitle, jsonOutput) {
-  const uid = await queryPageUid(config, pageTitle);
+// Convert Roam inline syntax in a block string to the target format
+function renderInline(text, format) {
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+  const escape = format === 'html' ? escapeHtml : (str) => str;
+  let output = '';
+  let last = 0;
+  let match;
 
-  if (!uid) {
-    console.error(`Error: Page "${pageTitle}" not found.`);
-    process.exit(1);
+  while ((match = pattern.exec(text)) !== null) {
+    output += escape(text.slice(last, match.index));
+    output += renderInlineMatch(match, format);
+    last = pattern.lastIndex;
   }
 
-  // Try the ancestor-rule query first (finds nested references too)
-  const ancestorRule = '[[(ancestor ?b ?a) [?a :block/children ?b]] [(ancestor ?b ?a) [?parent :block/children ?b] (ancestor ?parent ?a)]]';
-  const ancestorQuery = `[:find ?block-str ?block-uid ?page-title
- :in $ ?ref-title %
- :where [?ref-page :node/title ?ref-title]
-        [?block :block/refs ?ref-page]
-        [?block :block/string ?block-str]
-        [?block :block/uid ?block-uid]
-        (ancestor ?block ?page)
-        [?page :node/title ?page-title]]`;
+  return output + escape(text.slice(last));
+}
 
-  let result;
-  try {
-    result = await runQuery(config, ancestorQuery, [pageTitle, ancestorRule]);
-  } catch (err) {
-    // Fallback: direct children only query
-    const simpleQuery = `[:find ?block-str ?block-uid ?page-title
- :in $ ?ref-title
- :where [?ref-page :node/title ?ref-title]
-        [?block :block/refs ?ref-page]
-        [?block :block/string ?block-str]
-        [?block :block/uid ?block-uid]
-        [?page :node/title ?page-title]
-        [?page :block/children ?block]]`;
+// Render a block tree as a nested Markdown or Org-mode list
+function renderTextList(blocks, format, indent = 0) {
+  let output = '';
+  const pad = '  '.repeat(indent);
 
-    result = await runQuery(config, simpleQuery, [pageTitle]);
+  for (const block of blocks) {
+    const text = renderInline(block.string, format).replace(/\n/g, `\n${pad}  `);
+    output += `${pad}- ${text}\n`;
+    if (block.children && block.children.length > 0) {
+      output += renderTextList(block.children, format, indent + 1);
+    }
   }
 
-  // Group by source page
-  const byPage = {};
-  for (const [blockStr, blockUid, srcPageTitle] of result) {
-    if (!byPage[srcPageTitle]) {
-      byPage[srcPageTitle] = [];
+  return output;
+}
+
+// Render a block tree as nested HTML lists
+function renderHtmlList(blocks, indent = 0) {
+  const pad = '  '.repeat(indent);
+  let output = `${pad}<ul>\n`;
+
+  for (const block of blocks) {
+    const text = renderInline(block.string, 'html').replace(/\n/g, '<br>\n');
+    if (block.children && block.children.length > 0) {
+      output += `${pad}  <li>${text}\n`;
+      output += renderHtmlList(block.children, indent + 2);
+      output += `${pad}  </li>\n`;
+    } else {
+      output += `${pad}  <li>${text}</li>\n`;
     }
-    byPage[srcPageTitle].push({ string: blockStr, uid: blockUid });
   }
 
-  if (jsonOutput) {
-    const references = Object.entries(byPage).map(([page, blocks]) => ({
-      page,
-      blocks: blocks.map(b => ({ string: b.string, uid: b.uid }))
-    }));
-    console.log(JSON.stringify({ referenceTo: pageTitle, uid, count: result.length, references }, null, 2));
+  return output + `${pad}</ul>\n`;
+}
+
+// Render a page in one of the export formats
+function renderPage(title, blocks, format) {
+  switch (format) {
+    case 'html':
+      return `<h1>${escapeHtml(title)}</h1>\n` + (blocks.length > 0 ? renderHtmlList(blocks) : '');
+    case 'org':
+      return `#+TITLE: ${title}\n\n` + renderTextList(blocks, format);
+    default:
+      return `# ${title}\n\n` + renderTextList(blocks, format);
+  }
+}
+
+// Print output, or write it to a file when --out is given
+function writeOutput(output, outPath) {
+  if (outPath) {
+    fs.writeFileSync(outPath, output.endsWith('\n') ? output : output + '\n');
+    console.log(`Wrote output to ${outPath}`);
+  } else {
+    console.log(output.replace(/\n$/, ''));
+  }
+}
+
+// Feature 1: Read page content
+async function readPage(config, pageTitle, options) {
+  const uid = await queryPageUid(config, pageTitle);
+
+  if (!uid) {
+    console.error(`Error: Page "${pageTitle}" not found.`);
+    process.exit(1);
+  }
+
+  const blocks = await fetchBlockTree(config, uid, options.maxDepth);
+  if (options.resolveRefs) {
+    await resolveBlockTree(config, blocks, new Map(), [uid], 0, options.refDepth);
+  }
+
+  let output;
+  if (options.json) {
+    output = JSON.stringify({ title: pageTitle, uid, blocks }, null, 2);
+  } else if (options.format) {
+    output = renderPage(pageTitle, blocks, options.format);
+  } else {
+    output = `Page: "${pageTitle}" (uid: ${uid})\n`;
+    output += blocks.length === 0 ? '  (empty page)\n' : formatBlockTree(blocks);
+  }
+
+  writeOutput(output, options.out);
+}
+
+// Fetch a block with its parent chain up to the page (null if the UID doesn't exist)
+async function queryBlockWithParents(config, uid) {
+  const query = `[:find (pull ?e [:block/uid :block/string :node/title {:block/_children [:block/uid :block/string :node/title {:block/_children ...}]}])
+ :in $ ?uid
+ :where [?e :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [uid]);
+  return result.length > 0 ? result[0][0] : null;
+}
+
+// Feature 10: Read a block's subtree by UID
+async function readBlock(config, uid, options) {
+  const entity = await queryBlockWithParents(config, uid);
+
+  if (!entity) {
+    console.error(`Error: Block "${uid}" not found.`);
+    process.exit(1);
+  }
+  const pageTitle = pullAttr(entity, 'node/title');
+  if (pageTitle !== undefined) {
+    console.error(`Error: "${uid}" is a page, not a block. Use --page "${pageTitle}" instead.`);
+    process.exit(1);
+  }
+
+  const { page, breadcrumb } = resolveParents(entity);
+  const block = {
+    uid,
+    string: pullAttr(entity, 'block/string') || '',
+    children: await fetchBlockTree(config, uid, options.maxDepth)
+  };
+  if (options.resolveRefs) {
+    await resolveBlockTree(config, [block], new Map(), page ? [page.uid] : [], 0, options.refDepth);
+  }
+
+  // With --with-ancestors, nest the block under its parent blocks
+  let blocks = [block];
+  if (options.withAncestors) {
+    for (const parent of breadcrumb.slice().reverse()) {
+      blocks = [{ uid: parent.uid, string: parent.string, children: blocks }];
+    }
+  }
+
+  const title = page ? page.title : uid;
+
+  let output;
+  if (options.json) {
+    const result = { uid, string: block.string, page };
+    if (options.withAncestors) {
+      result.ancestors = breadcrumb;
+    }
+    result.children = block.children;
+    output = JSON.stringify(result, null, 2);
+  } else if (options.format) {
+    output = renderPage(title, blocks, options.format);
+  } else {
+    output = `Block: ((${uid})) on page "${title}"\n`;
+    output += formatBlockTree(blocks);
+  }
+
+  writeOutput(output, options.out);
+}
+
+// Look up UIDs for a list of page titles, returning a title -> uid map
+async function queryPageUids(config, titles) {
+  const query = `[:find ?title ?uid
+ :in $ [?title ...]
+ :where [?page :node/title ?title]
+        [?page :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [titles]);
+  return new Map(result);
+}
+
+// Render a journal (several daily pages) in one of the export formats
+function renderJournal(title, days, format) {
+  switch (format) {
+    case 'html':
+      return `<h1>${escapeHtml(title)}</h1>\n` + days.map(day =>
+        `<h2>${escapeHtml(day.title)}</h2>\n` + (day.blocks.length > 0 ? renderHtmlList(day.blocks) : '')
+      ).join('');
+    case 'org':
+      return `#+TITLE: ${title}\n\n` + days.map(day =>
+        `* ${day.title}\n\n` + renderTextList(day.blocks, format)
+      ).join('\n');
+    default:
+      return `# ${title}\n\n` + days.map(day =>
+        `## ${day.title}\n\n` + renderTextList(day.blocks, format)
+      ).join('\n');
+  }
+}
+
+// Feature 6: Journal export of daily notes over a date range
+async function readJournal(config, from, to, options) {
+  const dates = [];
+  for (let date = new Date(from); date <= to; date.setDate(date.getDate() + 1)) {
+    dates.push(new Date(date));
+  }
+
+  // Find which daily pages exist, skipping missing days
+  const uids = await queryPageUids(config, dates.map(getRoamDateTitle));
+  const cache = new Map();
+  const days = [];
+  for (const date of dates) {
+    const title = getRoamDateTitle(date);
+    if (uids.has(title)) {
+      const uid = uids.get(title);
+      const blocks = await fetchBlockTree(config, uid, options.maxDepth);
+      if (options.resolveRefs) {
+        await resolveBlockTree(config, blocks, cache, [uid], 0, options.refDepth);
+      }
+      days.push({ date: formatIsoDate(date), title, uid, blocks });
+    }
+  }
+
+  const title = `Journal: ${getRoamDateTitle(from)} - ${getRoamDateTitle(to)}`;
+
+  let output;
+  if (options.json) {
+    output = JSON.stringify({ from: formatIsoDate(from), to: formatIsoDate(to), count: days.length, pages: days }, null, 2);
+  } else if (options.format) {
+    output = renderJournal(title, days, options.format);
+  } else {
+    output = `${title} (${days.length} pages)\n`;
+    for (const day of days) {
+      output += `\nPage: "${day.title}" (uid: ${day.uid})\n`;
+      output += day.blocks.length === 0 ? '  (empty page)\n' : formatBlockTree(day.blocks);
+    }
+  }
+
+  writeOutput(output, options.out);
+}
+
+// Feature 2: Read references/backlinks
+async function readReferences(config, pageTitle, jsonOutput) {
+  const uid = await queryPageUid(config, pageTitle);
+
+  if (!uid) {
+    console.error(`Error: Page "${pageTitle}" not found.`);
+    process.exit(1);
+  }
+
+  // Try the ancestor-rule query first (finds nested references too)
+  const ancestorRule = '[[(ancestor ?b ?a) [?a :block/children ?b]] [(ancestor ?b ?a) [?parent :block/children ?b] (ancestor ?parent ?a)]]';
+  const ancestorQuery = `[:find ?block-str ?block-uid ?page-title
+ :in $ ?ref-title %
+ :where [?ref-page :node/title ?ref-title]
+        [?block :block/refs ?ref-page]
+        [?block :block/string ?block-str]
+        [?block :block/uid ?block-uid]
+        (ancestor ?block ?page)
+        [?page :node/title ?page-title]]`;
+
+  let result;
+  try {
+    result = await runQuery(config, ancestorQuery, [pageTitle, ancestorRule]);
+  } catch (err) {
+    // Fallback: direct children only query
+    const simpleQuery = `[:find ?block-str ?block-uid ?page-title
+ :in $ ?ref-title
+ :where [?ref-page :node/title ?ref-title]
+        [?block :block/refs ?ref-page]
+        [?block :block/string ?block-str]
+        [?block :block/uid ?block-uid]
+        [?page :node/title ?page-title]
+        [?page :block/children ?block]]`;
+
+    result = await runQuery(config, simpleQuery, [pageTitle]);
+  }
+
+  // Group by source page
+  const byPage = {};
+  for (const [blockStr, blockUid, srcPageTitle] of result) {
+    if (!byPage[srcPageTitle]) {
+      byPage[srcPageTitle] = [];
+    }
+    byPage[srcPageTitle].push({ string: blockStr, uid: blockUid });
+  }
+
+  if (jsonOutput) {
+    const references = Object.entries(byPage).map(([page, blocks]) => ({
+      page,
+      blocks: blocks.map(b => ({ string: b.string, uid: b.uid }))
+    }));
+    console.log(JSON.stringify({ referenceTo: pageTitle, uid, count: result.length, references }, null, 2));
   } else {
     console.log(`References to "${pageTitle}" (${result.length} found):`);
     console.log('');
@@ -347,56 +1271,873 @@ async function readReferences(config, pageTitle, jsonOutput) {
   }
 }
 
-// Feature 3: Pages modified today
-async function readModifiedToday(config, jsonOutput) {
-  const now = new Date();
-  const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const startTimestamp = startOfDay.getTime();
+// Split a list on commas outside [[links]], so "A, [[Smith, John]]" gives
+// "A" and "[[Smith, John]]"
+function splitOutsideLinks(value) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value.startsWith('[[', i)) {
+      depth++;
+      current += '[[';
+      i++;
+    } else if (value.startsWith(']]', i) && depth > 0) {
+      depth--;
+      current += ']]';
+      i++;
+    } else if (value[i] === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Look up a page's aliases from its "Aliases:: A, [[B]]" attribute
+async function queryPageAliases(config, pageUid) {
+  const query = `[:find ?string
+ :in $ ?uid
+ :where [?page :block/uid ?uid]
+        [?block :block/page ?page]
+        [?block :block/string ?string]
+        [(clojure.string/starts-with? ?string "Aliases::")]]`;
+
+  const result = await runQuery(config, query, [pageUid]);
+  const aliases = [];
+  for (const [string] of result) {
+    const attribute = parseAttribute(string);
+    for (const alias of splitOutsideLinks(attribute.value)) {
+      const name = alias.replace(/#?\[\[([^\[\]]+)\]\]/g, '$1').trim();
+      if (name && !aliases.includes(name)) aliases.push(name);
+    }
+  }
+  return aliases;
+}
+
+// Markup whose text must not count as a mention: [text](links), [[links]],
+// #tags, ((refs)), {{macros}}, `code`, URLs and attribute names
+const LINKED_TEXT_PATTERN = /\[[^\[\]]*\]\([^()]*\)|#?\[\[(?:[^\[\]]|\[\[[^\[\]]*\]\])*\]\]|#[^\s\[\](){}#,;!?"']+|\(\([^()]+\)\)|\{\{[^{}]*\}\}|`[^`]*`|https?:\/\/\S+|^[^:\n`]+::/g;
+
+// Build a case-insensitive, word-boundary aware pattern matching any of the names
+function buildMentionPattern(names) {
+  const alternatives = names
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+}
+
+// Find plain-text mentions in a block string, skipping linked markup
+function findMentions(string, mentionPattern) {
+  const masked = string.replace(LINKED_TEXT_PATTERN, match => ' '.repeat(match.length));
+  const mentions = [];
+  let match;
+  mentionPattern.lastIndex = 0;
+  while ((match = mentionPattern.exec(masked)) !== null) {
+    mentions.push({ index: match.index, text: match[0] });
+  }
+  return mentions;
+}
+
+// Convert mentions into links: [[Title]] when the text matches the title,
+// otherwise an aliased link [text]([[Title]]) so the visible text is kept
+function linkMentions(string, mentions, pageTitle) {
+  let result = string;
+  for (const mention of mentions.slice().reverse()) {
+    const link = mention.text === pageTitle ? `[[${pageTitle}]]` : `[${mention.text}]([[${pageTitle}]])`;
+    result = result.slice(0, mention.index) + link + result.slice(mention.index + mention.text.length);
+  }
+  return result;
+}
+
+// Find blocks mentioning any of the names as plain text, excluding blocks on
+// the page itself and blocks that already reference it
+async function queryUnlinkedReferences(config, pageUid, names) {
+  const pattern = `(?i)(?:${names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`;
+  const query = `[:find (pull ?block [:block/uid :block/string {:block/refs [:block/uid]} {:block/page [:block/uid :node/title]}])
+ :in $ ?pattern
+ :where [?block :block/string ?string]
+        [(re-pattern ?pattern) ?re]
+        [(re-find ?re ?string)]]`;
+
+  const result = await runQuery(config, query, [pattern]);
+  const mentionPattern = buildMentionPattern(names);
+  const blocks = [];
+
+  for (const [entity] of result) {
+    const page = pullAttr(entity, 'block/page') || {};
+    const refs = pullAttr(entity, 'block/refs') || [];
+    if (pullAttr(page, 'block/uid') === pageUid) continue;
+    if (refs.some(ref => pullAttr(ref, 'block/uid') === pageUid)) continue;
+
+    const string = pullAttr(entity, 'block/string') || '';
+    const mentions = findMentions(string, mentionPattern);
+    if (mentions.length > 0) {
+      blocks.push({ page: pullAttr(page, 'node/title'), uid: pullAttr(entity, 'block/uid'), string, mentions });
+    }
+  }
+
+  return blocks.sort((a, b) => (a.page || '').localeCompare(b.page || '') || a.uid.localeCompare(b.uid));
+}
+
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the strings they replaced, so undo.js can restore them
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'read-content.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+
+// Send a single write action to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/write`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Feature 11: Unlinked references, optionally converted into links
+async function readUnlinkedReferences(config, pageTitle, options) {
+  const uid = await queryPageUid(config, pageTitle);
+
+  if (!uid) {
+    console.error(`Error: Page "${pageTitle}" not found.`);
+    process.exit(1);
+  }
+
+  const aliases = await queryPageAliases(config, uid);
+  const blocks = await queryUnlinkedReferences(config, uid, [pageTitle, ...aliases]);
+
+  // --apply converts every listed block ("all") or only the given UIDs
+  let selected = [];
+  if (options.apply) {
+    const uids = options.apply === 'all' ? null : options.apply.split(',').map(u => u.trim()).filter(u => u);
+    selected = uids ? blocks.filter(block => uids.includes(block.uid)) : blocks;
+    const missing = uids ? uids.filter(u => !blocks.some(block => block.uid === u)) : [];
+    if (missing.length > 0) {
+      console.error(`Warning: Not an unlinked reference to "${pageTitle}": ${missing.join(', ')}`);
+    }
+  }
+
+  // With --dry-run the new strings are only shown. Applied rewrites are
+  // journaled with the string they replaced.
+  const results = { linked: [], failed: [] };
+  for (const block of selected) {
+    const string = linkMentions(block.string, block.mentions, pageTitle);
+    if (options.dryRun) {
+      block.planned = string;
+      continue;
+    }
+    try {
+      const action = { action: 'update-block', block: { uid: block.uid, string } };
+      await sendWriteAction(config, action);
+      recordInJournal(config, [{ payload: action, uids: [block.uid], previous: { string: block.string } }]);
+      block.linked = string;
+      results.linked.push(block);
+    } catch (err) {
+      results.failed.push({ uid: block.uid, error: err.message || String(err) });
+    }
+  }
+
+  if (options.json) {
+    const references = [];
+    for (const block of blocks) {
+      let group = references.find(ref => ref.page === block.page);
+      if (!group) {
+        group = { page: block.page, blocks: [] };
+        references.push(group);
+      }
+      const entry = { uid: block.uid, string: block.string, mentions: block.mentions.map(m => m.text) };
+      if (block.linked) entry.linked = block.linked;
+      if (block.planned) entry.planned = block.planned;
+      group.blocks.push(entry);
+    }
+    const output = { unlinkedReferencesTo: pageTitle, uid, aliases, count: blocks.length, references };
+    if (options.apply && options.dryRun) {
+      output.planned = selected.length;
+    } else if (options.apply) {
+      output.applied = results.linked.length;
+      output.failed = results.failed;
+      if (journal.count > 0) output.journalRun = journal.run;
+    }
+    console.log(JSON.stringify(output, null, 2));
+  } else {
+    const names = aliases.length > 0 ? ` (aliases: ${aliases.join(', ')})` : '';
+    console.log(`Unlinked references to "${pageTitle}"${names} (${blocks.length} found):`);
+    console.log('');
+
+    if (blocks.length === 0) {
+      console.log('  (no unlinked references found)');
+    }
+    let currentPage;
+    for (const block of blocks) {
+      if (block.page !== currentPage) {
+        if (currentPage !== undefined) console.log('');
+        currentPage = block.page;
+        console.log(`From "${block.page}":`);
+      }
+      const after = block.linked || block.planned;
+      if (after) {
+        console.log(`  ${block.linked ? '✓' : '~'} (uid: ${block.uid})`);
+        console.log(`      before: ${block.string}`);
+        console.log(`      after:  ${after}`);
+      } else {
+        const preview = block.string.length > 100 ? block.string.substring(0, 97) + '...' : block.string;
+        console.log(`  - ${preview} (uid: ${block.uid})`);
+      }
+    }
+
+    if (options.apply && options.dryRun) {
+      console.log('');
+      console.log(`Dry run - would link ${selected.length} selected block(s). Run again without --dry-run to apply.`);
+    } else if (options.apply) {
+      console.log('');
+      console.log(`Linked ${results.linked.length} of ${selected.length} selected block(s)`);
+      if (journal.count > 0) {
+        console.log(`Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+      }
+      for (const failure of results.failed) {
+        console.error(`  ✗ ${failure.uid}: ${failure.error}`);
+      }
+    } else if (blocks.length > 0) {
+      console.log('');
+      console.log('Run again with --apply all (or --apply <uid,uid>) to convert these mentions into links.');
+    }
+  }
+
+  // Exit with error if any block failed to update
+  if (results.failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+// Parse a point in time: a duration before now ("7d", "12h", "30m", "2w"),
+// a date ("2026-02-01", local time) or an ISO timestamp. Date-only values
+// resolve to the start of the day, or the end of it when endOfDay is set.
+function parseTimeSpec(value, endOfDay = false) {
+  const duration = /^(\d+)\s*([mhdw])$/.exec(value || '');
+  if (duration) {
+    const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+    return Date.now() - parseInt(duration[1], 10) * units[duration[2]];
+  }
+
+  const date = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (date) {
+    const day = buildCalendarDate(parseInt(date[1], 10), parseInt(date[2], 10), parseInt(date[3], 10));
+    if (!day) return null;
+    if (endOfDay) day.setDate(day.getDate() + 1);
+    return day.getTime();
+  }
 
+  const timestamp = Date.parse(value);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+// Query pages (and optionally blocks) edited within [start, end)
+async function queryModified(config, start, end, withBlocks) {
   // Try ancestor-rule query (catches block-level edits)
   const ancestorRule = '[[(ancestor ?b ?a) [?a :block/children ?b]] [(ancestor ?b ?a) [?parent :block/children ?b] (ancestor ?parent ?a)]]';
   const ancestorQuery = `[:find ?title (max ?time)
- :in $ ?start_of_day %
+ :in $ ?start ?end %
  :where [?page :node/title ?title]
         (ancestor ?block ?page)
         [?block :edit/time ?time]
-        [(> ?time ?start_of_day)]]`;
+        [(> ?time ?start)]
+        [(< ?time ?end)]]`;
 
   let result;
   try {
-    result = await runQuery(config, ancestorQuery, [startTimestamp, ancestorRule]);
+    result = await runQuery(config, ancestorQuery, [start, end, ancestorRule]);
   } catch (err) {
     // Fallback: page-level edits only
     const simpleQuery = `[:find ?title (max ?time)
+ :in $ ?start ?end
  :where [?page :node/title ?title]
         [?page :edit/time ?time]
-        [(> ?time ${startTimestamp})]]`;
+        [(> ?time ?start)]
+        [(< ?time ?end)]]`;
 
-    result = await runQuery(config, simpleQuery);
+    result = await runQuery(config, simpleQuery, [start, end]);
   }
 
   // Sort by most recently edited
   result.sort((a, b) => (b[1] || 0) - (a[1] || 0));
 
-  if (jsonOutput) {
-    const pages = result.map(([title, lastEdited]) => ({
-      title,
-      lastEdited: lastEdited ? new Date(lastEdited).toISOString() : null
-    }));
-    console.log(JSON.stringify({ date: startOfDay.toISOString().split('T')[0], count: result.length, pages }, null, 2));
+  const pages = result.map(([title, lastEdited]) => ({ title, lastEdited, blocks: [] }));
+
+  if (withBlocks) {
+    const blockQuery = `[:find ?title ?uid ?string ?time
+ :in $ ?start ?end
+ :where [?block :edit/time ?time]
+        [(> ?time ?start)]
+        [(< ?time ?end)]
+        [?block :block/string ?string]
+        [?block :block/uid ?uid]
+        [?block :block/page ?page]
+        [?page :node/title ?title]]`;
+
+    const blockResult = await runQuery(config, blockQuery, [start, end]);
+    const byTitle = new Map(pages.map(page => [page.title, page]));
+    for (const [title, uid, string, time] of blockResult) {
+      if (byTitle.has(title)) {
+        byTitle.get(title).blocks.push({ uid, string, edited: time });
+      }
+    }
+    pages.forEach(page => page.blocks.sort((a, b) => b.edited - a.edited));
+  }
+
+  return pages;
+}
+
+// Feature 3: Pages modified within a time range (today by default)
+async function readModified(config, range, options) {
+  const pages = await queryModified(config, range.start, range.end, options.blocks);
+  const formatTime = (time) => range.today
+    ? new Date(time).toLocaleTimeString()
+    : new Date(time).toLocaleString();
+
+  if (options.json) {
+    const output = range.today ? { date: new Date(range.start).toISOString().split('T')[0] } : {};
+    Object.assign(output, {
+      from: new Date(range.start).toISOString(),
+      to: new Date(range.end).toISOString(),
+      count: pages.length,
+      pages: pages.map(page => {
+        const entry = {
+          title: page.title,
+          lastEdited: page.lastEdited ? new Date(page.lastEdited).toISOString() : null
+        };
+        if (options.blocks) {
+          entry.blocks = page.blocks.map(block => ({
+            uid: block.uid,
+            string: block.string,
+            edited: new Date(block.edited).toISOString()
+          }));
+        }
+        return entry;
+      })
+    });
+    console.log(JSON.stringify(output, null, 2));
   } else {
-    console.log(`Pages modified today (${result.length} found):`);
-    if (result.length === 0) {
+    console.log(`Pages modified ${range.label} (${pages.length} found):`);
+    if (pages.length === 0) {
       console.log('  (none found)');
     } else {
-      result.forEach(([title, lastEdited], i) => {
-        const time = lastEdited ? new Date(lastEdited).toLocaleTimeString() : '';
-        console.log(`  ${i + 1}. ${title}${time ? ' (last edit: ' + time + ')' : ''}`);
+      pages.forEach((page, i) => {
+        const time = page.lastEdited ? formatTime(page.lastEdited) : '';
+        console.log(`  ${i + 1}. ${page.title}${time ? ' (last edit: ' + time + ')' : ''}`);
+        for (const block of page.blocks) {
+          const preview = block.string.length > 80
+            ? block.string.substring(0, 77) + '...'
+            : block.string;
+          console.log(`       - [${formatTime(block.edited)}] ${preview} (uid: ${block.uid})`);
+        }
       });
     }
   }
 }
 
+// Build the regex pattern for a search (plain text is escaped)
+function buildSearchPattern(text, options) {
+  const pattern = options.regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return options.ignoreCase ? `(?i)${pattern}` : pattern;
+}
+
+// Walk a pulled block's parent chain up to its page
+function resolveParents(entity) {
+  const breadcrumb = [];
+  let page = null;
+  let parents = pullAttr(entity, 'block/_children');
+
+  while (Array.isArray(parents) && parents.length > 0) {
+    const parent = parents[0];
+    const title = pullAttr(parent, 'node/title');
+    if (title !== undefined) {
+      page = { title, uid: pullAttr(parent, 'block/uid') };
+      break;
+    }
+    breadcrumb.unshift({ uid: pullAttr(parent, 'block/uid'), string: pullAttr(parent, 'block/string') || '' });
+    parents = pullAttr(parent, 'block/_children');
+  }
+
+  return { page, breadcrumb };
+}
+
+// Find page titles and blocks matching a regex pattern. Every match is
+// counted, but parent chains (for breadcrumbs) are only pulled for the first
+// `limit` results, pages first.
+async function searchGraph(config, pattern, limit) {
+  const pageQuery = `[:find ?title ?uid
+ :in $ ?pattern
+ :where [?page :node/title ?title]
+        [(re-pattern ?pattern) ?re]
+        [(re-find ?re ?title)]
+        [?page :block/uid ?uid]]`;
+
+  const pageResult = await runQuery(config, pageQuery, [pattern]);
+  const pages = pageResult
+    .map(([title, uid]) => ({ title, uid }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  const blockQuery = `[:find ?uid ?str ?title
+ :in $ ?pattern
+ :where [?block :block/string ?str]
+        [(re-pattern ?pattern) ?re]
+        [(re-find ?re ?str)]
+        [?block :block/uid ?uid]
+        [?block :block/page ?page]
+        [?page :node/title ?title]]`;
+
+  const result = await runQuery(config, blockQuery, [pattern]);
+  const blocks = result
+    .map(([uid, string, page]) => ({ page, uid, string, breadcrumb: [] }))
+    .sort((a, b) => a.page.localeCompare(b.page));
+
+  const shown = blocks.slice(0, Math.max(0, limit - pages.length));
+  if (shown.length > 0) {
+    try {
+      // Pull the shown hits with their parent chains in one query
+      const parentQuery = `[:find (pull ?block [:block/uid {:block/_children [:block/uid :block/string :node/title {:block/_children ...}]}])
+ :in $ [?uid ...]
+ :where [?block :block/uid ?uid]]`;
+
+      const parents = await runQuery(config, parentQuery, [shown.map(block => block.uid)]);
+      const breadcrumbs = new Map(parents.map(([entity]) => [pullAttr(entity, 'block/uid'), resolveParents(entity).breadcrumb]));
+      shown.forEach(block => {
+        block.breadcrumb = breadcrumbs.get(block.uid) || [];
+      });
+    } catch (err) {
+      // Fallback: show the matches without breadcrumbs
+    }
+  }
+
+  return { pages, blocks };
+}
+
+// Feature 4: Full-text search
+async function readSearch(config, text, options) {
+  const { pages, blocks } = await searchGraph(config, buildSearchPattern(text, options), options.limit);
+  const total = pages.length + blocks.length;
+
+  // Apply the limit across page matches first, then block matches
+  const shownPages = pages.slice(0, options.limit);
+  const shownBlocks = blocks.slice(0, Math.max(0, options.limit - shownPages.length));
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      search: text,
+      regex: options.regex,
+      ignoreCase: options.ignoreCase,
+      count: total,
+      pages: shownPages,
+      blocks: shownBlocks
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Search results for "${text}" (${total} found${total > options.limit ? `, showing ${options.limit}` : ''}):`);
+  console.log('');
+
+  if (total === 0) {
+    console.log('  (no matches found)');
+    return;
+  }
+
+  if (shownPages.length > 0) {
+    console.log('Pages:');
+    for (const page of shownPages) {
+      console.log(`  - ${page.title} (uid: ${page.uid})`);
+    }
+    console.log('');
+  }
+
+  let currentPage;
+  for (const block of shownBlocks) {
+    if (block.page !== currentPage) {
+      currentPage = block.page;
+      console.log(`From "${currentPage}":`);
+    }
+    const preview = block.string.length > 100
+      ? block.string.substring(0, 97) + '...'
+      : block.string;
+    console.log(`  - ${preview} (uid: ${block.uid})`);
+    if (block.breadcrumb.length > 0) {
+      const path = block.breadcrumb
+        .map(parent => parent.string.length > 40 ? parent.string.substring(0, 37) + '...' : parent.string)
+        .join(' > ');
+      console.log(`    in: ${path}`);
+    }
+  }
+}
+
+// Split the :find clause of a query into column names for table output
+function getFindColumns(query) {
+  const match = query.match(/:find\s+([\s\S]*?)\s*(?::in|:with|:where|\]\s*$)/);
+  if (!match) return [];
+
+  const columns = [];
+  let current = '';
+  let depth = 0;
+  for (const char of match[1]) {
+    if ('([{'.includes(char)) depth++;
+    if (')]}'.includes(char)) depth--;
+    if (/\s/.test(char) && depth === 0) {
+      if (current) columns.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) columns.push(current);
+
+  return columns;
+}
+
+// Format query results as an aligned text table
+function formatTable(columns, rows) {
+  const width = Math.max(columns.length, ...rows.map(row => row.length));
+  const headers = Array.from({ length: width }, (_, i) => columns[i] || `col${i + 1}`);
+  const cells = rows.map(row => headers.map((_, i) => {
+    const value = row[i];
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const flat = (text === undefined ? '' : text).replace(/\s+/g, ' ');
+    return flat.length > 60 ? flat.substring(0, 57) + '...' : flat;
+  }));
+  const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i].length)));
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [
+    line(headers),
+    line(widths.map(w => '-'.repeat(w))),
+    ...cells.map(line)
+  ].join('\n');
+}
+
+// Feature 5: Raw Datalog query
+async function readQuery(config, query, queryArgs, jsonOutput) {
+  const result = await runQuery(config, query, queryArgs);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ query, args: queryArgs, count: result.length, result }, null, 2));
+  } else {
+    console.log(`Query results (${result.length} rows):`);
+    console.log('');
+    if (result.length === 0) {
+      console.log('  (no results)');
+    } else {
+      console.log(formatTable(getFindColumns(query), result));
+    }
+  }
+}
+
+// Task checkbox markers: {{[[TODO]]}}, {{[[DONE]]}} and the short {{TODO}} form
+const TASK_MARKER = /\{\{(?:\[\[)?(TODO|DONE)(?:\]\])?\}\}\s*/;
+
+// Find task blocks (optionally filtered by page and referenced tag)
+async function queryTasks(config, statuses, pageTitle, tagTitle) {
+  const inputs = ['$', '[?status ...]'];
+  const args = [statuses];
+  const filters = [];
+
+  if (pageTitle) {
+    inputs.push('?page-title');
+    args.push(pageTitle);
+    filters.push('[?page :node/title ?page-title]');
+  }
+  if (tagTitle) {
+    inputs.push('?tag-title');
+    args.push(tagTitle);
+    filters.push('[?tag :node/title ?tag-title]', '[?block :block/refs ?tag]');
+  }
+
+  const where = ':where ' + [
+    '[?marker :node/title ?status]',
+    '[?block :block/refs ?marker]',
+    '[?block :block/page ?page]',
+    ...filters,
+    '[(get-else $ ?block :create/time 0) ?time]'
+  ].join('\n        ');
+
+  const toTask = (page, uid, string, created, breadcrumb) => {
+    const marker = TASK_MARKER.exec(string);
+    return marker
+      ? { status: marker[1], page, uid, string, text: string.replace(TASK_MARKER, ''), created, breadcrumb }
+      : null;
+  };
+
+  let tasks;
+  try {
+    // Pull each task with its parent chain to build breadcrumbs in one query
+    const query = `[:find (pull ?block [:block/uid :block/string {:block/_children [:block/uid :block/string :node/title {:block/_children ...}]}]) ?time
+ :in ${inputs.join(' ')}
+ ${where}]`;
+
+    const result = await runQuery(config, query, args);
+    tasks = result.map(([entity, time]) => {
+      const { page, breadcrumb } = resolveParents(entity);
+      return toTask(page ? page.title : null, pullAttr(entity, 'block/uid'), pullAttr(entity, 'block/string') || '', time, breadcrumb);
+    });
+  } catch (err) {
+    // Fallback: page title only, without breadcrumbs
+    const query = `[:find ?title ?uid ?string ?time
+ :in ${inputs.join(' ')}
+ ${where}
+        [?page :node/title ?title]
+        [?block :block/uid ?uid]
+        [?block :block/string ?string]]`;
+
+    const result = await runQuery(config, query, args);
+    tasks = result.map(([title, uid, string, time]) => toTask(title, uid, string, time, []));
+  }
+
+  return tasks
+    .filter(task => task && statuses.includes(task.status))
+    .sort((a, b) => (a.page || '').localeCompare(b.page || '') || a.created - b.created);
+}
+
+// Feature 9: Task (TODO/DONE) extraction
+async function readTasks(config, options, createdRange) {
+  const statuses = options.status === 'all' ? ['TODO', 'DONE'] : [options.status.toUpperCase()];
+  const tasks = (await queryTasks(config, statuses, options.page, options.tag))
+    .filter(task => task.created >= createdRange.start && task.created < createdRange.end);
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      status: options.status,
+      page: options.page,
+      tag: options.tag,
+      count: tasks.length,
+      tasks: tasks.map(task => Object.assign({}, task, {
+        created: task.created ? new Date(task.created).toISOString() : null
+      }))
+    }, null, 2));
+    return;
+  }
+
+  console.log(`Tasks (${tasks.length} found):`);
+  console.log('');
+
+  if (tasks.length === 0) {
+    console.log('  (no tasks found)');
+    return;
+  }
+
+  let currentPage;
+  for (const task of tasks) {
+    if (task.page !== currentPage) {
+      if (currentPage !== undefined) console.log('');
+      currentPage = task.page;
+      console.log(`From "${currentPage}":`);
+    }
+    const preview = task.text.length > 100 ? task.text.substring(0, 97) + '...' : task.text;
+    console.log(`  ${task.status === 'DONE' ? '[x]' : '[ ]'} ${preview} (uid: ${task.uid})`);
+    if (task.breadcrumb.length > 0) {
+      const path = task.breadcrumb
+        .map(parent => parent.string.length > 40 ? parent.string.substring(0, 37) + '...' : parent.string)
+        .join(' > ');
+      console.log(`      in: ${path}`);
+    }
+  }
+}
+
+// Parse a "Key:: value" attribute block string
+function parseAttribute(string) {
+  const match = /^\s*([^:\n`]+?)::\s*([\s\S]*)$/.exec(string);
+  return match ? { key: match[1].trim(), value: match[2].trim() } : null;
+}
+
+// Normalize an attribute value for comparison: drop [[links]] and #tag markup,
+// trim and lower-case
+function normalizeAttributeValue(value) {
+  return value
+    .replace(/#?\[\[([^\[\]]+)\]\]/g, '$1')
+    .replace(/(^|\s)#([^\s]+)/g, '$1$2')
+    .trim()
+    .toLowerCase();
+}
+
+// Collect attributes from a block tree. An attribute with no inline value
+// takes its child blocks as values.
+function collectAttributes(blocks, attributes = {}) {
+  for (const block of blocks) {
+    const attribute = parseAttribute(block.string);
+    if (attribute) {
+      const values = attribute.value
+        ? [attribute.value]
+        : (block.children || []).map(child => child.string);
+      attributes[attribute.key] = (attributes[attribute.key] || []).concat(values);
+    }
+    if (block.children && block.children.length > 0) {
+      collectAttributes(block.children, attributes);
+    }
+  }
+  return attributes;
+}
+
+// Find every page's values for an attribute, returning a title -> values map
+async function queryAttributeValues(config, key) {
+  const query = `[:find ?title ?uid ?str
+ :in $ ?prefix
+ :where [?block :block/string ?str]
+        [(clojure.string/starts-with? ?str ?prefix)]
+        [?block :block/uid ?uid]
+        [?block :block/page ?page]
+        [?page :node/title ?title]]`;
+
+  const result = await runQuery(config, query, [`${key}::`]);
+  const byPage = new Map();
+  const titleByUid = new Map();
+  for (const [title, uid, string] of result) {
+    const attribute = parseAttribute(string);
+    if (!attribute || attribute.key !== key) continue;
+    if (!byPage.has(title)) byPage.set(title, []);
+    if (attribute.value) {
+      byPage.get(title).push(attribute.value);
+    } else {
+      titleByUid.set(uid, title);
+    }
+  }
+
+  // An attribute with no inline value takes its child blocks as values
+  if (titleByUid.size > 0) {
+    const childQuery = `[:find ?parent-uid ?order ?child-str
+ :in $ [?parent-uid ...]
+ :where [?parent :block/uid ?parent-uid]
+        [?parent :block/children ?child]
+        [?child :block/order ?order]
+        [?child :block/string ?child-str]]`;
+
+    const children = await runQuery(config, childQuery, [Array.from(titleByUid.keys())]);
+    children.sort((a, b) => a[1] - b[1]);
+    for (const [parentUid, , string] of children) {
+      if (string.trim()) {
+        byPage.get(titleByUid.get(parentUid)).push(string.trim());
+      }
+    }
+  }
+  return byPage;
+}
+
+// Quote a value for CSV output
+function csvCell(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// Feature 7: Structured attributes of a page
+async function readAttributes(config, pageTitle, jsonOutput) {
+  const uid = await queryPageUid(config, pageTitle);
+
+  if (!uid) {
+    console.error(`Error: Page "${pageTitle}" not found.`);
+    process.exit(1);
+  }
+
+  const attributes = collectAttributes(await fetchBlockTree(config, uid));
+  const keys = Object.keys(attributes);
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({ title: pageTitle, uid, attributes }, null, 2));
+  } else {
+    console.log(`Attributes of "${pageTitle}" (${keys.length} found):`);
+    if (keys.length === 0) {
+      console.log('  (no attributes found)');
+    } else {
+      for (const key of keys) {
+        console.log(`  ${key}: ${attributes[key].join('; ')}`);
+      }
+    }
+  }
+}
+
+// Feature 8: Pages matching attribute filters
+async function readWhere(config, clauses, fields, options) {
+  let matches = null;
+  const valuesByKey = new Map();
+
+  for (const { key, value } of clauses) {
+    const byPage = await queryAttributeValues(config, key);
+    valuesByKey.set(key, byPage);
+
+    const wanted = normalizeAttributeValue(value);
+    const pages = [...byPage.keys()].filter(title =>
+      !wanted || byPage.get(title).some(v => normalizeAttributeValue(v) === wanted));
+    matches = matches === null ? pages : matches.filter(title => pages.includes(title));
+  }
+
+  for (const key of fields) {
+    if (!valuesByKey.has(key)) {
+      valuesByKey.set(key, await queryAttributeValues(config, key));
+    }
+  }
+
+  const columns = [...new Set(clauses.map(clause => clause.key).concat(fields))];
+  const rows = matches.sort().map(title => {
+    const attributes = {};
+    for (const key of columns) {
+      attributes[key] = valuesByKey.get(key).get(title) || [];
+    }
+    return { title, attributes };
+  });
+  const cells = (row) => [row.title].concat(columns.map(key => row.attributes[key].join('; ')));
+
+  if (options.json) {
+    console.log(JSON.stringify({ where: clauses, count: rows.length, pages: rows }, null, 2));
+  } else if (options.csv) {
+    console.log(['Page'].concat(columns).map(csvCell).join(','));
+    for (const row of rows) {
+      console.log(cells(row).map(csvCell).join(','));
+    }
+  } else {
+    console.log(`Pages where ${clauses.map(c => `${c.key}::${c.value}`).join(' and ')} (${rows.length} found):`);
+    console.log('');
+    if (rows.length === 0) {
+      console.log('  (no matching pages)');
+    } else {
+      console.log(formatTable(['Page'].concat(columns), rows.map(cells)));
+    }
+  }
+}
+
 // Main function
 async function main() {
   try {
@@ -408,25 +2149,227 @@ async function main() {
     }
 
     // Validate: must specify exactly one mode
-    const modes = [options.page, options.references, options.modifiedToday].filter(Boolean);
+    if (options.queryFile) {
+      if (options.query) {
+        console.error('Error: Cannot use both --query and --query-file');
+        process.exit(1);
+      }
+      options.query = fs.readFileSync(options.queryFile, 'utf8').trim();
+    }
+
+    if (options.date) {
+      if (options.page) {
+        console.error('Error: Cannot use both --page and --date');
+        process.exit(1);
+      }
+      const date = parseDateSpec(options.date);
+      if (!date) {
+        console.error(`Error: Invalid --date value "${options.date}"`);
+        console.error('Use YYYY-MM-DD, today, yesterday, tomorrow, -3d, "last friday", or "next monday".');
+        process.exit(1);
+      }
+      options.page = getRoamDateTitle(date);
+    }
+
+    // Resolve the date range for --journal
+    let journalRange = null;
+    if (options.journal) {
+      const [from, to] = options.journal.map(value => parseDateSpec(value));
+      if (!from || !to) {
+        console.error(`Error: Invalid --journal dates "${options.journal.join('" "')}"`);
+        console.error('Use YYYY-MM-DD, today, yesterday, tomorrow, -3d, "last friday", or "next monday".');
+        process.exit(1);
+      }
+      if (to < from) {
+        console.error('Error: --journal end date must not be before its start date');
+        process.exit(1);
+      }
+      journalRange = { from, to };
+    }
+
+    // Parse --where "Key::Value" clauses
+    const whereClauses = options.where.map(clause => parseAttribute(clause));
+    if (whereClauses.some(clause => !clause)) {
+      console.error('Error: --where must look like "Key::Value"');
+      process.exit(1);
+    }
+
+    if (options.search !== null && !(options.search || '').trim()) {
+      console.error('Error: --search text must not be empty');
+      process.exit(1);
+    }
+
+    // With --tasks, --page/--date filter the tasks instead of selecting a mode
+    const pageMode = options.tasks ? null : options.page;
+
+    const modes = [
+      pageMode, options.tasks, journalRange, options.block, options.references, options.unlinkedReferences,
+      options.modifiedToday, options.modifiedSince, options.modifiedBetween, options.search, options.query,
+      options.attributes, whereClauses.length > 0
+    ].filter(Boolean);
     if (modes.length === 0) {
-      console.error('Error: Must specify one of --page, --references, or --modified-today');
+      console.error('Error: Must specify one of --page, --date, --journal, --block, --tasks, --references, --unlinked-references, --modified-today, --modified-since, --modified-between, --search, --query, --attributes, or --where');
       console.error('Run with --help for usage information.');
       process.exit(1);
     }
     if (modes.length > 1) {
-      console.error('Error: Cannot combine --page, --references, and --modified-today');
+      console.error('Error: Cannot combine --page, --date, --journal, --block, --tasks, --references, --unlinked-references, --modified-today, --modified-since, --modified-between, --search, --query, --attributes, and --where');
+      process.exit(1);
+    }
+
+    // Resolve the time range for the modified-pages modes
+    let range = null;
+    if (options.modifiedToday) {
+      const now = new Date();
+      const start = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+      range = { start, end: Date.now() + 60000, label: 'today', today: true };
+    } else if (options.modifiedSince) {
+      const start = parseTimeSpec(options.modifiedSince);
+      if (start === null) {
+        console.error(`Error: Invalid --modified-since value "${options.modifiedSince}" (use YYYY-MM-DD, an ISO timestamp, or a duration like 7d)`);
+        process.exit(1);
+      }
+      range = { start, end: Date.now() + 60000, label: `since ${new Date(start).toLocaleString()}` };
+    } else if (options.modifiedBetween) {
+      const [from, to] = options.modifiedBetween;
+      const start = parseTimeSpec(from);
+      const end = parseTimeSpec(to, true);
+      if (start === null || end === null) {
+        console.error('Error: Invalid --modified-between values (use YYYY-MM-DD, an ISO timestamp, or a duration like 7d)');
+        process.exit(1);
+      }
+      if (end <= start) {
+        console.error('Error: --modified-between end must be after its start');
+        process.exit(1);
+      }
+      range = { start, end, label: `between ${from} and ${to}` };
+    }
+
+    if (options.apply !== null && !options.unlinkedReferences) {
+      console.error('Error: --apply can only be used with --unlinked-references');
+      process.exit(1);
+    }
+    if (options.apply !== null && !options.apply) {
+      console.error('Error: --apply requires "all" or a comma-separated list of block UIDs');
+      process.exit(1);
+    }
+    if (options.dryRun && options.apply === null) {
+      console.error('Error: --dry-run can only be used with --apply');
+      process.exit(1);
+    }
+
+    if (options.blocks && !range) {
+      console.error('Error: --blocks can only be used with --modified-today, --modified-since, or --modified-between');
+      process.exit(1);
+    }
+
+    // Resolve task filters
+    let createdRange = null;
+    if (options.tasks) {
+      if (!['todo', 'done', 'all'].includes(options.status)) {
+        console.error('Error: --status must be todo, done, or all');
+        process.exit(1);
+      }
+      const start = options.from ? parseTimeSpec(options.from) : 0;
+      const end = options.to ? parseTimeSpec(options.to, true) : Infinity;
+      if (start === null || end === null) {
+        console.error('Error: Invalid --from/--to value (use YYYY-MM-DD, an ISO timestamp, or a duration like 7d)');
+        process.exit(1);
+      }
+      createdRange = { start, end };
+    } else if (options.tag || options.from || options.to) {
+      console.error('Error: --tag, --from, and --to can only be used with --tasks');
+      process.exit(1);
+    }
+
+    if ((options.csv || options.fields.length > 0) && whereClauses.length === 0) {
+      console.error('Error: --csv and --fields can only be used with --where');
+      process.exit(1);
+    }
+
+    if ((options.queryArgs.length > 0 || options.rules) && !options.query) {
+      console.error('Error: --arg and --rules can only be used with --query or --query-file');
+      process.exit(1);
+    }
+    if (options.rules && fs.existsSync(options.rules)) {
+      options.rules = fs.readFileSync(options.rules, 'utf8').trim();
+    }
+
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      console.error('Error: --limit must be a positive integer');
+      process.exit(1);
+    }
+
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
+    // Modes that read a block tree
+    const treeMode = pageMode || journalRange || options.block;
+
+    if ((options.format || options.out) && !treeMode) {
+      console.error('Error: --format and --out can only be used with --page, --date, --journal, or --block');
+      process.exit(1);
+    }
+    if (options.format && !EXPORT_FORMATS.includes(options.format)) {
+      console.error(`Error: Unknown format "${options.format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+      process.exit(1);
+    }
+    if (options.resolveRefs && !treeMode) {
+      console.error('Error: --resolve-refs can only be used with --page, --date, --journal, or --block');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.maxDepth) || options.maxDepth < 0) {
+      console.error('Error: --max-depth must be a non-negative integer');
+      process.exit(1);
+    }
+    if (options.withAncestors && !options.block) {
+      console.error('Error: --with-ancestors can only be used with --block');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.refDepth) || options.refDepth < 1) {
+      console.error('Error: --ref-depth must be a positive integer');
+      process.exit(1);
+    }
+    if (options.format && options.json) {
+      console.error('Error: Cannot combine --format and --json');
       process.exit(1);
     }
 
-    const config = loadConfig();
+    const config = loadConfig(options);
 
-    if (options.page) {
-      await readPage(config, options.page, options.json);
+    if (pageMode) {
+      await readPage(config, options.page, options);
+    } else if (options.tasks) {
+      await readTasks(config, options, createdRange);
+    } else if (journalRange) {
+      await readJournal(config, journalRange.from, journalRange.to, options);
+    } else if (options.block) {
+      await readBlock(config, options.block, options);
     } else if (options.references) {
       await readReferences(config, options.references, options.json);
-    } else if (options.modifiedToday) {
-      await readModifiedToday(config, options.json);
+    } else if (options.unlinkedReferences) {
+      await readUnlinkedReferences(config, options.unlinkedReferences, options);
+    } else if (range) {
+      await readModified(config, range, options);
+    } else if (options.search) {
+      await readSearch(config, options.search, options);
+    } else if (options.query) {
+      const queryArgs = options.rules ? [...options.queryArgs, options.rules] : options.queryArgs;
+      await readQuery(config, options.query, queryArgs, options.json);
+    } else if (options.attributes) {
+      await readAttributes(config, options.attributes, options.json);
+    } else if (whereClauses.length > 0) {
+      await readWhere(config, whereClauses, options.fields, options);
+    }
+
+    if (requestStats.retried > 0) {
+      console.error(`Retried requests: ${requestStats.retried}`);
     }
 
   } catch (error) {
@@ -0,0 +1,934 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+
+// Version of the state file layout
+const STATE_VERSION = 1;
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: sync-markdown.js --dir <folder> [options]
+
+Two-way sync between a folder of Markdown files and Roam Research pages.
+
+Each file maps to the page titled after its path without ".md"
+("notes/2026/January.md" -> "notes/2026/January"). List items become blocks,
+nested by indentation; "# " headings and plain lines become top-level blocks.
+Indented lines under a list item continue its text. Pulled text that would
+read back as a list item or heading is escaped ("\\- ", "1\\. ", "\\# ").
+
+A file changed locally since the last sync is pushed to Roam with the fewest
+create/update/delete operations; a page changed in Roam is pulled into its
+file. When both changed, the file is skipped as a conflict unless --prefer
+is given. A file whose page was deleted in Roam is a conflict too and is left
+alone; --prefer local recreates the page.
+
+Options:
+  --dir <folder>         Folder of Markdown files to sync (required)
+  --state <path>         State file tracking page UIDs and last synced content
+                         (default: <folder>/.roam-sync.json)
+  --prefer <side>        Resolve conflicts in favor of local or remote
+  --dry-run              Show what would change without writing anything
+  --batch-size <n>       Number of actions sent per batch request (default: 50)
+  --graph <profile>      Use a graph profile from the config file
+  --max-attempts <n>     Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>    Request timeout in seconds (default: 30)
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+  ROAM_JOURNAL           Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
+Examples:
+  # Preview a sync
+  sync-markdown.js --dir ~/notes/roam --dry-run
+
+  # Sync, keeping local edits when a page was also changed in Roam
+  sync-markdown.js --dir ~/notes/roam --prefer local
+`);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    dir: null,
+    state: null,
+    prefer: null,
+    dryRun: false,
+    batchSize: 50,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--dir':
+        options.dir = args[++i];
+        break;
+      case '--state':
+        options.state = args[++i];
+        break;
+      case '--prefer':
+        options.prefer = args[++i];
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
+
+  if (!graphName || !apiToken) {
+    console.error('Error: No Roam Research graph configured');
+    console.error('');
+    console.error('Please set the following environment variables:');
+    console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
+    console.error('  ROAM_API_TOKEN     Your Roam Research API token');
+    console.error('');
+    console.error('Example:');
+    console.error('  export ROAM_GRAPH_NAME="my-graph"');
+    console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
+    console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
+    process.exit(1);
+  }
+
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make HTTPS request (shared helper)
+function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const makeRequest = (opts) => {
+      const req = https.request(opts, (res) => {
+        // Handle redirects
+        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 308) {
+          const redirectUrl = new URL(res.headers.location);
+          const redirectOpts = {
+            hostname: redirectUrl.hostname,
+            port: redirectUrl.port || 443,
+            path: redirectUrl.pathname + redirectUrl.search,
+            method: opts.method,
+            headers: opts.headers,
+            timeout: timeout
+          };
+
+          const redirectReq = https.request(redirectOpts, (redirectRes) => {
+            let data = '';
+            redirectRes.on('data', (chunk) => { data += chunk; });
+            redirectRes.on('end', () => {
+              if (redirectRes.statusCode === 200) {
+                resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
+              } else {
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
+              }
+            });
+          });
+
+          redirectReq.on('error', reject);
+          redirectReq.on('timeout', () => { redirectReq.destroy(); reject(new Error('Request timeout')); });
+          redirectReq.write(payload);
+          redirectReq.end();
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
+          } else {
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.write(payload);
+      req.end();
+    };
+
+    makeRequest(requestOptions);
+  });
+}
+
+// Run a Datalog query against the Roam API
+async function runQuery(config, query, queryArgs) {
+  const body = { query };
+  if (queryArgs && queryArgs.length > 0) {
+    body.args = queryArgs;
+  }
+  const payload = JSON.stringify(body);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/q`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  if (response.data && response.data.result) {
+    return response.data.result;
+  }
+  return [];
+}
+
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Generate a Roam-style block UID (9 URL-safe characters)
+function generateUid() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+  let uid = '';
+  for (const byte of crypto.randomBytes(9)) {
+    uid += chars[byte % chars.length];
+  }
+  return uid;
+}
+
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the state they replaced, so undo.js can reverse them
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'sync-markdown.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+// Send a write action (or batch-actions payload) to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/write`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Query page UID by title
+async function queryPageUid(config, pageTitle) {
+  const query = `[:find ?uid :where [?e :node/title "${pageTitle.replace(/"/g, '\\"')}"] [?e :block/uid ?uid]]`;
+  const result = await runQuery(config, query);
+
+  if (result.length > 0) {
+    return result[0][0];
+  }
+  return null;
+}
+
+// Convert a pulled entity's children into a sorted block tree
+function pulledChildrenToTree(entity) {
+  const children = pullAttr(entity, 'block/children');
+  if (!Array.isArray(children)) return [];
+
+  return children
+    .slice()
+    .sort((a, b) => pullAttr(a, 'block/order') - pullAttr(b, 'block/order'))
+    .map(child => ({
+      uid: pullAttr(child, 'block/uid'),
+      string: pullAttr(child, 'block/string') || '',
+      heading: pullAttr(child, 'block/heading') || 0,
+      children: pulledChildrenToTree(child)
+    }));
+}
+
+// Fetch a page's title and block tree with a single recursive pull (null if
+// the page doesn't exist)
+async function fetchPageTree(config, pageUid) {
+  const query = `[:find (pull ?e [:block/uid :node/title :block/string :block/order :block/heading {:block/children ...}])
+ :in $ ?uid
+ :where [?e :block/uid ?uid]
+        [?e :node/title]]`;
+
+  const result = await runQuery(config, query, [pageUid]);
+  if (result.length === 0 || !result[0][0]) return null;
+
+  return { title: pullAttr(result[0][0], 'node/title'), children: pulledChildrenToTree(result[0][0]) };
+}
+
+// List Markdown files under a folder as sorted relative paths, skipping
+// hidden files and folders
+function listMarkdownFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listMarkdownFiles(dir, relPath));
+    } else if (/\.md$/i.test(entry.name)) {
+      files.push(relPath);
+    }
+  }
+  return files.sort();
+}
+
+// Page title for a file: its relative path without ".md"
+function fileTitle(relPath) {
+  return relPath.replace(/\.md$/i, '');
+}
+
+// Split YAML front matter ("---" ... "---") from the Markdown body; it is kept
+// in the file but not synced
+function splitFrontMatter(text) {
+  const match = /^---\r?\n[\s\S]*?\r?\n---\r?\n/.exec(text);
+  return match ? { frontMatter: match[0], body: text.slice(match[0].length) } : { frontMatter: '', body: text };
+}
+
+// List item markers ("- ", "* ", "+ ", "1. ", "1) ") and heading markers
+const LIST_ITEM_PATTERN = /^(?:[-*+]|\d+[.)])(?:\s+|$)/;
+const HEADING_PATTERN = /^(#{1,3})\s+([\s\S]*)$/;
+
+// Text that would be read back as a list item or heading is escaped with a
+// backslash as in Markdown ("\\- ", "1\\. ", "\\# "): list markers at the
+// start of continuation lines, and heading markers at the start of a block
+// that is not a heading. Markers already escaped get one more backslash.
+function escapeListMarker(line) {
+  return line
+    .replace(/^(\s*)(\\*[-*+])(?=\s|$)/, '$1\\$2')
+    .replace(/^(\s*)(\d+)(\\*[.)])(?=\s|$)/, '$1$2\\$3');
+}
+
+// Remove the escape added by escapeListMarker
+function unescapeListMarker(line) {
+  return line
+    .replace(/^(\s*)\\(\\*[-*+])(?=\s|$)/, '$1$2')
+    .replace(/^(\s*)(\d+)\\(\\*[.)])(?=\s|$)/, '$1$2$3');
+}
+
+// Split a "# " heading marker off a block's text, removing the escape from
+// an escaped one
+function parseHeading(text) {
+  const match = HEADING_PATTERN.exec(text);
+  if (match) {
+    return { string: match[2], heading: match[1].length };
+  }
+  return { string: text.replace(/^\\(\\*#{1,3}\s)/, '$1'), heading: 0 };
+}
+
+// Parse Markdown into a block tree. List items nest by indentation, other
+// lines start a new block at their indentation, and a non-list line indented
+// under a list item continues that item's text on a new line, keeping its
+// indentation beyond the item's text and the blank lines before it.
+function parseMarkdown(text) {
+  const blocks = [];
+  const stack = [];
+  let blankLines = 0;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) {
+      blankLines++;
+      continue;
+    }
+    const leading = line.match(/^\s*/)[0];
+    const indent = leading.replace(/\t/g, '    ').length;
+    const trimmed = line.trim();
+    const isItem = LIST_ITEM_PATTERN.test(trimmed);
+
+    const last = stack[stack.length - 1];
+    if (!isItem && last && last.isItem && indent > last.indent) {
+      const content = line.slice(Math.min(leading.length, last.textOffset)).replace(/\s+$/, '');
+      last.block.string += '\n'.repeat(blankLines + 1) + unescapeListMarker(content);
+      blankLines = 0;
+      continue;
+    }
+    blankLines = 0;
+
+    // Pop back to the closest less-indented line, which becomes the parent
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const marker = isItem ? LIST_ITEM_PATTERN.exec(trimmed)[0] : '';
+    const { string, heading } = parseHeading(trimmed.slice(marker.length));
+    const block = { string, heading, children: [] };
+    if (stack.length > 0) {
+      stack[stack.length - 1].block.children.push(block);
+    } else {
+      blocks.push(block);
+    }
+    stack.push({ indent, isItem, block, textOffset: leading.length + marker.length });
+  }
+
+  return blocks;
+}
+
+// Render a block tree as a nested Markdown list. Continuation lines keep
+// their indentation and blank lines, so parseMarkdown reads the same text back.
+function renderMarkdown(blocks, depth = 0) {
+  const indent = '  '.repeat(depth);
+  let output = '';
+
+  for (const block of blocks) {
+    const marker = block.heading ? '#'.repeat(block.heading) + ' ' : '';
+    const [first, ...rest] = normalizeString(block.string).split('\n');
+    const firstLine = block.heading ? first : first.replace(/^(\\*#{1,3}\s)/, '\\$1');
+    output += `${indent}- ${marker}${firstLine}`.replace(/\s+$/, '') + '\n';
+    rest.forEach(line => {
+      output += line ? `${indent}  ${escapeListMarker(line)}\n` : '\n';
+    });
+    output += renderMarkdown(block.children, depth + 1);
+  }
+
+  return output;
+}
+
+// Block text as it survives a round trip through a Markdown file: without
+// trailing whitespace on its lines or leading and trailing blank lines
+function normalizeString(string) {
+  return string.split('\n').map(line => line.replace(/\s+$/, '')).join('\n').trim();
+}
+
+// Hash a block tree's text, headings and nesting (UIDs, whitespace at the end
+// of lines and formatting of the Markdown source don't count)
+function treeHash(blocks) {
+  const normalize = (list) => list.map(block => [normalizeString(block.string), block.heading || 0, normalize(block.children)]);
+  return crypto.createHash('sha1').update(JSON.stringify(normalize(blocks))).digest('hex');
+}
+
+// Indices of a longest common subsequence of two string lists, as [i, j] pairs
+function longestCommonSubsequence(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+// Add create-block actions for a new block and its children
+function addCreateActions(parentUid, block, order, ops) {
+  const uid = generateUid();
+  ops.creates.push({
+    action: 'create-block',
+    location: { 'parent-uid': parentUid, order },
+    block: Object.assign({ string: block.string, uid }, block.heading ? { heading: block.heading } : {})
+  });
+  block.children.forEach(child => addCreateActions(uid, child, 'last', ops));
+}
+
+// Diff local sibling blocks against the remote ones under parentUid. Blocks
+// with the same text are matched in order; unmatched blocks between matches
+// are paired up as in-place updates, and the rest are deleted or created.
+// Kept blocks stay in their relative order, so no moves are needed. Deletes
+// are added last sibling first, so undo.js (newest first) recreates them in
+// their original order.
+function diffBlocks(parentUid, local, remote, ops) {
+  const deletes = [];
+  const anchors = longestCommonSubsequence(local.map(b => normalizeString(b.string)), remote.map(b => normalizeString(b.string)));
+  anchors.push([local.length, remote.length]);
+
+  let li = 0;
+  let ri = 0;
+  for (const [anchorLocal, anchorRemote] of anchors) {
+    while (li < anchorLocal || ri < anchorRemote) {
+      if (li < anchorLocal && ri < anchorRemote) {
+        diffBlock(local[li], remote[ri], ops);
+      } else if (ri < anchorRemote) {
+        const action = { action: 'delete-block', block: { uid: remote[ri].uid } };
+        deletes.unshift(action);
+        ops.previous.set(action, { parentUid, order: ri, block: remote[ri] });
+      } else {
+        addCreateActions(parentUid, local[li], li, ops);
+      }
+      if (li < anchorLocal) li++;
+      if (ri < anchorRemote) ri++;
+    }
+    if (anchorLocal < local.length) {
+      diffBlock(local[li++], remote[ri++], ops);
+    }
+  }
+  ops.deletes.push(...deletes);
+}
+
+// Diff a local block against the remote block it was matched with
+function diffBlock(localBlock, remoteBlock, ops) {
+  if (normalizeString(localBlock.string) !== normalizeString(remoteBlock.string) || (localBlock.heading || 0) !== (remoteBlock.heading || 0)) {
+    const action = {
+      action: 'update-block',
+      block: { uid: remoteBlock.uid, string: localBlock.string, heading: localBlock.heading || 0 }
+    };
+    ops.updates.push(action);
+    ops.previous.set(action, { string: remoteBlock.string, heading: remoteBlock.heading || 0 });
+  }
+  diffBlocks(remoteBlock.uid, localBlock.children, remoteBlock.children, ops);
+}
+
+// Send actions in batch-actions chunks (deletes, then updates, then creates),
+// journaling each chunk with the state its deletes and updates replaced
+async function applyActions(config, actions, batchSize, previous) {
+  for (let i = 0; i < actions.length; i += batchSize) {
+    const chunk = actions.slice(i, i + batchSize);
+    await sendWriteAction(config, chunk.length === 1 ? chunk[0] : { action: 'batch-actions', actions: chunk });
+    recordInJournal(config, chunk.map(action => ({
+      payload: action,
+      uids: [(action.page || action.block).uid],
+      previous: previous.get(action)
+    })));
+  }
+}
+
+// Read the state file, or start an empty one
+function loadState(statePath, graphName) {
+  if (!fs.existsSync(statePath)) {
+    return { version: STATE_VERSION, graph: graphName, files: {} };
+  }
+  const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  if (state.version !== STATE_VERSION) {
+    throw new Error(`Unsupported state file version ${state.version} in ${statePath} (expected ${STATE_VERSION})`);
+  }
+  if (state.graph !== graphName) {
+    throw new Error(`State file ${statePath} belongs to graph "${state.graph}", not "${graphName}"`);
+  }
+  return state;
+}
+
+// Sync one file with its page and return what happened
+async function syncFile(config, dir, relPath, state, options) {
+  const filePath = path.join(dir, relPath);
+  const title = fileTitle(relPath);
+  const { frontMatter, body } = splitFrontMatter(fs.readFileSync(filePath, 'utf8'));
+  const local = parseMarkdown(body);
+  const localHash = treeHash(local);
+  const entry = state.files[relPath];
+
+  // Find the page by the UID from the last sync, falling back to the title
+  let pageUid = entry ? entry.pageUid : null;
+  let page = pageUid ? await fetchPageTree(config, pageUid) : null;
+  if (!page) {
+    pageUid = await queryPageUid(config, title);
+    page = pageUid ? await fetchPageTree(config, pageUid) : null;
+  }
+  // A page deleted in Roam since the last sync is not pulled as an empty file;
+  // --prefer local recreates it
+  const pageDeleted = Boolean(entry) && !page;
+  if (pageDeleted && options.prefer !== 'local') {
+    return { status: 'conflict', title, pageDeleted };
+  }
+
+  const remote = page ? page.children : [];
+  const remoteHash = treeHash(remote);
+
+  const localChanged = !entry || entry.localHash !== localHash;
+  const remoteChanged = entry ? entry.remoteHash !== remoteHash : remote.length > 0;
+
+  // Unchanged on both sides counts as in sync, even if the file's text differs
+  // from the page's (e.g. Markdown that parses differently than it renders)
+  let direction;
+  if (pageDeleted) {
+    direction = 'push';
+  } else if (localHash === remoteHash || (!localChanged && !remoteChanged)) {
+    direction = 'none';
+  } else if (localChanged && remoteChanged) {
+    if (!options.prefer) {
+      return { status: 'conflict', title };
+    }
+    direction = options.prefer === 'local' ? 'push' : 'pull';
+  } else {
+    direction = remoteChanged ? 'pull' : 'push';
+  }
+
+  const record = (newLocalHash, newRemoteHash) => {
+    if (!options.dryRun) {
+      state.files[relPath] = { title, pageUid, localHash: newLocalHash, remoteHash: newRemoteHash, syncedAt: Date.now() };
+    }
+  };
+
+  if (direction === 'none') {
+    if (pageUid) record(localHash, remoteHash);
+    return { status: 'in sync', title };
+  }
+
+  if (direction === 'pull') {
+    const content = frontMatter + renderMarkdown(remote);
+    if (!options.dryRun) {
+      fs.writeFileSync(filePath, content);
+    }
+    record(remoteHash, remoteHash);
+    return { status: 'pulled', title };
+  }
+
+  // Push: create the page if needed, then apply the block diff
+  const actions = [];
+  if (!page) {
+    pageUid = generateUid();
+    actions.push({ action: 'create-page', page: { title, uid: pageUid } });
+  }
+  const ops = { deletes: [], updates: [], creates: [], previous: new Map() };
+  diffBlocks(pageUid, local, remote, ops);
+  actions.push(...ops.deletes, ...ops.updates, ...ops.creates);
+
+  if (!options.dryRun) {
+    await applyActions(config, actions, options.batchSize, ops.previous);
+  }
+  record(localHash, localHash);
+
+  return {
+    status: 'pushed',
+    title,
+    createdPage: !page,
+    created: ops.creates.length,
+    updated: ops.updates.length,
+    deleted: ops.deletes.length
+  };
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // Show help if requested
+    if (options.help) {
+      showUsage();
+      process.exit(0);
+    }
+
+    if (!options.dir) {
+      console.error('Error: Must specify --dir <folder>');
+      console.error('Run with --help for usage information.');
+      process.exit(1);
+    }
+    if (!fs.existsSync(options.dir) || !fs.statSync(options.dir).isDirectory()) {
+      console.error(`Error: Folder "${options.dir}" not found`);
+      process.exit(1);
+    }
+    if (options.prefer !== null && !['local', 'remote'].includes(options.prefer)) {
+      console.error('Error: --prefer must be local or remote');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
+    const config = loadConfig(options);
+    const statePath = options.state || path.join(options.dir, '.roam-sync.json');
+    const state = loadState(statePath, config.graphName);
+    const files = listMarkdownFiles(options.dir);
+
+    if (options.dryRun) {
+      console.log('Dry run mode - no changes will be made');
+    }
+    console.log(`Syncing ${options.dir} with Roam Research graph: ${config.graphName}`);
+    console.log('');
+
+    const counts = { 'in sync': 0, pushed: 0, pulled: 0, conflict: 0, failed: 0 };
+    for (const relPath of files) {
+      let result;
+      try {
+        result = await syncFile(config, options.dir, relPath, state, options);
+      } catch (error) {
+        result = { status: 'failed', title: fileTitle(relPath), error: error.message || String(error) };
+      }
+      counts[result.status]++;
+
+      switch (result.status) {
+        case 'pushed':
+          console.log(`  ↑ ${relPath} → "${result.title}"${result.createdPage ? ' (new page)' : ''}: ` +
+            `${result.created} created, ${result.updated} updated, ${result.deleted} deleted`);
+          break;
+        case 'pulled':
+          console.log(`  ↓ ${relPath} ← "${result.title}"`);
+          break;
+        case 'conflict':
+          console.log(result.pageDeleted
+            ? `  ! ${relPath}: page "${result.title}" was deleted in Roam, file left alone (use --prefer local to recreate the page, or remove the file)`
+            : `  ! ${relPath}: changed locally and in Roam since the last sync (use --prefer local or --prefer remote)`);
+          break;
+        case 'failed':
+          console.log(`  ✗ ${relPath}: ${result.error}`);
+          break;
+        default:
+          console.log(`  = ${relPath}`);
+      }
+    }
+
+    // Files that were removed locally are no longer tracked; their pages are kept
+    const removed = Object.keys(state.files).filter(relPath => !files.includes(relPath));
+    for (const relPath of removed) {
+      console.log(`  - ${relPath}: file removed, no longer synced (page "${state.files[relPath].title}" is kept in Roam)`);
+      if (!options.dryRun) {
+        delete state.files[relPath];
+      }
+    }
+
+    if (!options.dryRun) {
+      fs.writeFileSync(statePath, JSON.stringify(state, null, 2) + '\n');
+    }
+
+    console.log('');
+    console.log('Summary:');
+    console.log(`  ↑ Pushed: ${counts.pushed}`);
+    console.log(`  ↓ Pulled: ${counts.pulled}`);
+    console.log(`  = In sync: ${counts['in sync']}`);
+    console.log(`  ! Conflicts: ${counts.conflict}`);
+    console.log(`  ✗ Failed: ${counts.failed}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    if (journal.count > 0) {
+      console.log(`  Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+    }
+
+    // Exit with error if any file failed to sync
+    if (counts.failed > 0) {
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('');
+    console.error('✗ Fatal error:');
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main();
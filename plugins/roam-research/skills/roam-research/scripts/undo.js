@@ -0,0 +1,955 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: undo.js (--last <n> | --run <id> | --list) [options]
+
+Undo writes recorded in the journal by the write scripts (write-content.js,
+create-pages.js, update-content.js, import-graph.js, sync-markdown.js and
+read-content.js --apply): created blocks and pages are deleted, updated blocks
+get their previous text back, moved blocks go back where they were and
+deleted blocks are recreated with their children. A page or block that has
+gained content not being undone with it, or a block edited or moved again
+since, is skipped (unless --force), and a page or --under block that was only
+created to hold the writes is deleted only if it is empty.
+
+Modes:
+  --last <n>             Undo the last n operations (one block or page each)
+  --run <id>             Undo every operation of a run ("last" for the latest run)
+  --list                 List the most recent runs in the journal
+
+Options:
+  --limit <n>            Number of runs shown by --list (default: 10)
+  --batch-size <n>       Number of operations undone per batch request (default: 50)
+  --dry-run              Show what would be undone without making changes
+  --force                Also delete pages and blocks that content was added to
+                         later, together with that content, and restore blocks
+                         edited or moved again since
+  --graph <profile>      Use a graph profile from the config file
+  --max-attempts <n>     Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>    Request timeout in seconds (default: 30)
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+  ROAM_JOURNAL           Write journal (default: ~/.config/roam/journal.jsonl)
+
+Examples:
+  # See what was written recently
+  undo.js --list
+
+  # Undo everything the latest write run did
+  undo.js --run last
+
+  # Preview, then undo a specific run
+  undo.js --run 20261019T101500Z-4242 --dry-run
+  undo.js --run 20261019T101500Z-4242
+
+  # Undo the last three operations
+  undo.js --last 3
+`);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    last: null,
+    run: null,
+    list: false,
+    limit: 10,
+    batchSize: 50,
+    dryRun: false,
+    force: false,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--last':
+        options.last = parseInt(args[++i], 10);
+        break;
+      case '--run':
+        options.run = args[++i];
+        break;
+      case '--list':
+        options.list = true;
+        break;
+      case '--limit':
+        options.limit = parseInt(args[++i], 10);
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--force':
+        options.force = true;
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
+
+  if (!graphName || !apiToken) {
+    console.error('Error: No Roam Research graph configured');
+    console.error('');
+    console.error('Please set the following environment variables:');
+    console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
+    console.error('  ROAM_API_TOKEN     Your Roam Research API token');
+    console.error('');
+    console.error('Example:');
+    console.error('  export ROAM_GRAPH_NAME="my-graph"');
+    console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
+    console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
+    process.exit(1);
+  }
+
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make HTTPS request (shared helper)
+function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const makeRequest = (opts) => {
+      const req = https.request(opts, (res) => {
+        // Handle redirects
+        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 308) {
+          const redirectUrl = new URL(res.headers.location);
+          const redirectOpts = {
+            hostname: redirectUrl.hostname,
+            port: redirectUrl.port || 443,
+            path: redirectUrl.pathname + redirectUrl.search,
+            method: opts.method,
+            headers: opts.headers,
+            timeout: timeout
+          };
+
+          const redirectReq = https.request(redirectOpts, (redirectRes) => {
+            let data = '';
+            redirectRes.on('data', (chunk) => { data += chunk; });
+            redirectRes.on('end', () => {
+              if (redirectRes.statusCode === 200) {
+                resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
+              } else {
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
+              }
+            });
+          });
+
+          redirectReq.on('error', reject);
+          redirectReq.on('timeout', () => { redirectReq.destroy(); reject(new Error('Request timeout')); });
+          redirectReq.write(payload);
+          redirectReq.end();
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
+          } else {
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.write(payload);
+      req.end();
+    };
+
+    makeRequest(requestOptions);
+  });
+}
+
+// Run a Datalog query against the Roam API
+async function runQuery(config, query, queryArgs) {
+  const body = { query };
+  if (queryArgs && queryArgs.length > 0) {
+    body.args = queryArgs;
+  }
+  const payload = JSON.stringify(body);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/q`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  if (response.data && response.data.result) {
+    return response.data.result;
+  }
+  return [];
+}
+
+// Send a write action (or batch-actions payload) to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/write`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Default location of the write journal kept by the write scripts
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Journaled actions that can be undone, and the actions that reverse each.
+// Updates, moves and deletes are journaled with the state they replaced in
+// "previous": the old fields, the old parent and order, or the deleted tree.
+const UNDO_ACTIONS = {
+  'create-block': op => [{ action: 'delete-block', block: { uid: op.uids[0] } }],
+  'create-page': op => [{ action: 'delete-page', page: { uid: op.uids[0] } }],
+  'update-block': op => [{ action: 'update-block', block: Object.assign({ uid: op.uids[0] }, op.previous) }],
+  'move-block': op => [{
+    action: 'move-block',
+    block: { uid: op.uids[0] },
+    location: { 'parent-uid': op.previous.parentUid, order: op.previous.order }
+  }],
+  'delete-block': op => recreateActions(op.previous.parentUid, op.previous.order, op.previous.block)
+};
+
+// Create-block actions that rebuild a deleted block and its children with
+// their UIDs, parents before children
+function recreateActions(parentUid, order, block, actions = []) {
+  const attrs = { uid: block.uid, string: block.string || '' };
+  if (block.heading) attrs.heading = block.heading;
+  if (block.open === false) attrs.open = false;
+  actions.push({ action: 'create-block', location: { 'parent-uid': parentUid, order }, block: attrs });
+  (block.children || []).forEach((child, i) => recreateActions(block.uid, i, child, actions));
+  return actions;
+}
+
+// Whether an operation is undone by deleting what it created
+function isCreate(op) {
+  return op.action === 'create-block' || op.action === 'create-page';
+}
+
+// Count the blocks in a deleted block tree
+function countTree(block) {
+  return (block.children || []).reduce((sum, child) => sum + countTree(child), 1);
+}
+
+// Read every entry of the journal (ROAM_JOURNAL overrides its path),
+// skipping lines that are not valid JSON (e.g. a write cut short)
+function readJournal() {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of fs.readFileSync(journalPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // Ignore a partially written line
+    }
+  }
+  return entries;
+}
+
+// Append an entry recording which operations were undone, so they are not
+// undone again
+function recordUndo(config, undoneIds) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const entry = {
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time: new Date().toISOString(),
+    graph: config.graphName,
+    script: 'undo.js',
+    action: 'undo',
+    undone: undoneIds
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error(`Warning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+
+// The graph's undoable entries, in the order they were written, each marked
+// with whether it has been undone already
+function graphOperations(entries, graphName) {
+  const undone = new Set();
+  entries
+    .filter(entry => entry.graph === graphName && entry.action === 'undo')
+    .forEach(entry => entry.undone.forEach(id => undone.add(id)));
+
+  return entries
+    .filter(entry => entry.graph === graphName && UNDO_ACTIONS[entry.action])
+    .filter(entry => isCreate(entry) || entry.previous)
+    .map(entry => Object.assign({}, entry, { undone: undone.has(entry.id) }));
+}
+
+// Group operations into runs, most recent first
+function groupRuns(operations) {
+  const runs = new Map();
+  for (const op of operations) {
+    if (!runs.has(op.run)) {
+      runs.set(op.run, { run: op.run, script: op.script, time: op.time, operations: [] });
+    }
+    runs.get(op.run).operations.push(op);
+  }
+  return Array.from(runs.values()).reverse();
+}
+
+// Describe an operation for output
+function describeOperation(op) {
+  if (op.action === 'create-page') {
+    return `page "${op.payload.page.title}" (${op.uids[0]})`;
+  }
+  if (op.action === 'move-block') {
+    return `block ${op.uids[0]} (moved from ${op.previous.parentUid})`;
+  }
+  if (op.action === 'delete-block') {
+    const count = countTree(op.previous.block) - 1;
+    return `block "${previewString(op.previous.block.string || '')}" (${op.uids[0]})${count > 0 ? ` with ${count} child block(s)` : ''}`;
+  }
+  const string = op.action === 'update-block' && op.previous.string !== undefined ? op.previous.string : op.payload.block.string;
+  return `block "${previewString(string || '')}" (${op.uids[0]})`;
+}
+
+// Shorten a block string for output
+function previewString(string) {
+  return string.length > 60 ? string.substring(0, 57) + '...' : string;
+}
+
+// The verb shown for an operation's undo
+function undoVerb(op) {
+  return { 'update-block': 'Restore', 'move-block': 'Move back', 'delete-block': 'Recreate' }[op.action] || 'Delete';
+}
+
+// Whether an operation has nothing left to undo given which UIDs exist: a
+// deleted block that exists again, or any other target that no longer exists
+function isAlreadyUndone(op, existing) {
+  return op.action === 'delete-block' ? existing.has(op.uids[0]) : !existing.has(op.uids[0]);
+}
+
+// Pick the operations to undo: the last n not yet undone, or those of a run
+function selectOperations(operations, options) {
+  const pending = operations.filter(op => !op.undone);
+  if (options.last !== null) {
+    return pending.slice(-options.last);
+  }
+
+  const run = options.run === 'last'
+    ? (pending.length > 0 ? pending[pending.length - 1].run : null)
+    : options.run;
+  return pending.filter(op => op.run === run);
+}
+
+// Look up which of the given UIDs still exist, batchSize per query
+async function queryExistingUids(config, uids, batchSize) {
+  const query = `[:find ?uid
+ :in $ [?uid ...]
+ :where [?e :block/uid ?uid]]`;
+
+  const existing = new Set();
+  for (let i = 0; i < uids.length; i += batchSize) {
+    const result = await runQuery(config, query, [uids.slice(i, i + batchSize)]);
+    result.forEach(([uid]) => existing.add(uid));
+  }
+  return existing;
+}
+
+// Look up the direct children of the given pages and blocks, batchSize per
+// query, as a map from parent UID to [{ uid, string }]
+async function queryChildren(config, uids, batchSize) {
+  const query = `[:find ?parent-uid ?uid ?string
+ :in $ [?parent-uid ...]
+ :where [?parent :block/uid ?parent-uid]
+        [?parent :block/children ?child]
+        [?child :block/uid ?uid]
+        [?child :block/string ?string]]`;
+
+  const children = new Map();
+  for (let i = 0; i < uids.length; i += batchSize) {
+    const result = await runQuery(config, query, [uids.slice(i, i + batchSize)]);
+    for (const [parentUid, uid, string] of result) {
+      if (!children.has(parentUid)) children.set(parentUid, []);
+      children.get(parentUid).push({ uid, string });
+    }
+  }
+  return children;
+}
+
+// Split the deletes (newest first, so children are checked before their
+// parents) into those that are safe and those that would take other content
+// with them. A page or block is kept when it has a child that is not deleted
+// in this undo: one added later, or one that is kept itself. --force deletes
+// explicitly written ones anyway, together with that content; pages and
+// --under blocks created implicitly are only deleted when empty.
+function checkDeletes(deletes, children, force) {
+  const deleted = new Set(deletes.map(op => op.uids[0]));
+  const safe = [];
+  const kept = [];
+
+  for (const op of deletes) {
+    const uid = op.uids[0];
+    const extra = (children.get(uid) || []).filter(child => !deleted.has(child.uid));
+    if (extra.length === 0 || (force && !op.implicit)) {
+      safe.push({ op, extra });
+    } else {
+      deleted.delete(uid);
+      kept.push({ op, reason: `content added later: ${describeExtra(extra)}` });
+    }
+  }
+  return { safe, kept };
+}
+
+// Look up the current strings of the given blocks, batchSize per query
+async function queryStrings(config, uids, batchSize) {
+  const query = `[:find ?uid ?string
+ :in $ [?uid ...]
+ :where [?e :block/uid ?uid]
+        [?e :block/string ?string]]`;
+
+  const strings = new Map();
+  for (let i = 0; i < uids.length; i += batchSize) {
+    const result = await runQuery(config, query, [uids.slice(i, i + batchSize)]);
+    result.forEach(([uid, string]) => strings.set(uid, string));
+  }
+  return strings;
+}
+
+// Find the block updates (newest first) that would overwrite a later edit: a
+// block is restored only while its text is still what the update wrote (or
+// what the newer update restored). --force restores it anyway.
+function checkUpdates(updates, strings, force) {
+  const current = new Map(strings);
+  const kept = [];
+
+  for (const op of updates) {
+    const uid = op.uids[0];
+    const string = current.get(uid);
+    if (op.payload.block.string === undefined || string === op.payload.block.string || force) {
+      if (op.previous.string !== undefined) current.set(uid, op.previous.string);
+    } else {
+      kept.push({ op, reason: `edited since, now "${previewString(string || '')}"` });
+    }
+  }
+  return kept;
+}
+
+// Describe the content a delete would also remove, or that kept it
+function describeExtra(extra) {
+  return extra.map(child => `"${previewString(child.string)}" (${child.uid})`).join(', ');
+}
+
+// Look up the parents of the given blocks, batchSize per query
+async function queryParents(config, uids, batchSize) {
+  const query = `[:find ?uid ?parent-uid
+ :in $ [?uid ...]
+ :where [?e :block/uid ?uid]
+        [?parent :block/children ?e]
+        [?parent :block/uid ?parent-uid]]`;
+
+  const parents = new Map();
+  for (let i = 0; i < uids.length; i += batchSize) {
+    const result = await runQuery(config, query, [uids.slice(i, i + batchSize)]);
+    result.forEach(([uid, parentUid]) => parents.set(uid, parentUid));
+  }
+  return parents;
+}
+
+// Find the moves (newest first) that would undo a later move: a block is
+// moved back only while it is still under the parent the move put it under.
+// --force moves it back anyway.
+function checkMoves(moves, parents, force) {
+  const current = new Map(parents);
+  const kept = [];
+
+  for (const op of moves) {
+    const uid = op.uids[0];
+    if (current.get(uid) === op.payload.location['parent-uid'] || force) {
+      current.set(uid, op.previous.parentUid);
+    } else {
+      kept.push({ op, reason: `moved again since, now under ${current.get(uid)}` });
+    }
+  }
+  return kept;
+}
+
+// Look up which of the operations are undone in the graph already, as a
+// check function: created pages and blocks that no longer exist, deleted
+// blocks that exist again, blocks whose text is back to what it was before
+// the update and blocks back under their old parent
+async function queryAppliedUndos(config, operations, batchSize) {
+  const uidsOf = action => operations.filter(op => op.action === action).map(op => op.uids[0]);
+  const existing = await queryExistingUids(config, operations.map(op => op.uids[0]), batchSize);
+  const strings = await queryStrings(config, uidsOf('update-block'), batchSize);
+  const parents = await queryParents(config, uidsOf('move-block'), batchSize);
+
+  return op => {
+    if (op.action === 'update-block') {
+      return op.previous.string !== undefined && strings.get(op.uids[0]) === op.previous.string;
+    }
+    if (op.action === 'move-block') {
+      return parents.get(op.uids[0]) === op.previous.parentUid;
+    }
+    return isAlreadyUndone(op, existing);
+  };
+}
+
+// Send the undo actions (newest operation first, so children go before their
+// parents) in chunked batches, falling back to single actions for a chunk
+// whose batch request fails
+async function undoOperations(config, operations, batchSize, results) {
+  const items = operations.map(op => ({ op, actions: UNDO_ACTIONS[op.action](op) }));
+
+  const recordUndone = ({ op }) => {
+    results.undone.push(op);
+    process.stdout.write('.');
+  };
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const chunk = items.slice(i, i + batchSize);
+
+    if (chunk.length > 1) {
+      try {
+        await sendWriteAction(config, { action: 'batch-actions', actions: [].concat(...chunk.map(item => item.actions)) });
+        chunk.forEach(recordUndone);
+        continue;
+      } catch (error) {
+        // Fall through and retry this chunk one action at a time
+      }
+    }
+
+    // A failed batch may still have been applied in part (e.g. a timeout
+    // after the server committed it): undos whose effect is already in the
+    // graph are done
+    let applied = () => false;
+    if (chunk.length > 1) {
+      try {
+        applied = await queryAppliedUndos(config, chunk.map(item => item.op), batchSize);
+      } catch (error) {
+        // Resend the whole chunk
+      }
+    }
+
+    for (const item of chunk) {
+      if (applied(item.op)) {
+        recordUndone(item);
+        continue;
+      }
+      try {
+        await sendWriteAction(config, item.actions.length === 1 ? item.actions[0] : { action: 'batch-actions', actions: item.actions });
+        recordUndone(item);
+      } catch (error) {
+        results.failed.push({ op: item.op, error: error.message || 'Unknown error' });
+        process.stdout.write('x');
+      }
+    }
+  }
+}
+
+// How each kind of operation is counted in --list
+const RUN_COUNT_LABELS = {
+  'create-page': 'page(s)',
+  'create-block': 'block(s)',
+  'update-block': 'block update(s)',
+  'move-block': 'block move(s)',
+  'delete-block': 'block delete(s)'
+};
+
+// Print the most recent runs with how many of their operations are undone
+function listRuns(operations, limit) {
+  const runs = groupRuns(operations).slice(0, limit);
+  if (runs.length === 0) {
+    console.log('No writes recorded for this graph.');
+    return;
+  }
+
+  console.log('Recent runs (newest first):');
+  for (const run of runs) {
+    const undone = run.operations.filter(op => op.undone).length;
+    const counts = Object.keys(RUN_COUNT_LABELS)
+      .map(action => [run.operations.filter(op => op.action === action).length, RUN_COUNT_LABELS[action]])
+      .filter(([count]) => count > 0)
+      .map(([count, label]) => `${count} ${label}`)
+      .join(', ');
+    const status = undone === 0 ? '' : undone === run.operations.length ? ', undone' : `, ${undone} undone`;
+    console.log(`  ${run.run}  ${run.time}  ${run.script}: ${counts}${status}`);
+  }
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // Show help if requested
+    if (options.help) {
+      showUsage();
+      process.exit(0);
+    }
+
+    const modes = [options.last !== null, options.run !== null, options.list].filter(Boolean);
+    if (modes.length !== 1) {
+      console.error('Error: Must specify exactly one of --last <n>, --run <id>, or --list');
+      console.error('Run with --help for usage information.');
+      process.exit(1);
+    }
+    if (options.last !== null && (!Number.isInteger(options.last) || options.last < 1)) {
+      console.error('Error: --last must be a positive integer');
+      process.exit(1);
+    }
+    if (options.run !== null && !options.run) {
+      console.error('Error: --run needs a run ID or "last"');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      console.error('Error: --limit must be a positive integer');
+      process.exit(1);
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
+    // The journal is per machine; only this graph's entries are considered
+    const config = loadConfig(options);
+    const operations = graphOperations(readJournal(), config.graphName);
+
+    if (options.list) {
+      listRuns(operations, options.limit);
+      process.exit(0);
+    }
+
+    const selected = selectOperations(operations, options);
+    if (selected.length === 0) {
+      console.log(options.run !== null && options.run !== 'last' && !operations.some(op => op.run === options.run)
+        ? `No run "${options.run}" in the journal for graph ${config.graphName}.`
+        : 'Nothing to undo.');
+      process.exit(0);
+    }
+
+    // Newest first: blocks before the blocks and pages they were written under
+    const toUndo = selected.slice().reverse();
+
+    // Blocks and pages deleted since (by hand, or with a deleted parent), and
+    // deleted blocks that exist again, are already undone
+    const existing = await queryExistingUids(config, toUndo.map(op => op.uids[0]), options.batchSize);
+    const gone = toUndo.filter(op => isAlreadyUndone(op, existing));
+    const present = toUndo.filter(op => !isAlreadyUndone(op, existing));
+
+    // Deleting a page or block deletes its children too, so those that gained
+    // content since they were written are kept (unless --force), and so are
+    // blocks whose text was edited again after a journaled update
+    const deletes = present.filter(isCreate);
+    const children = await queryChildren(config, deletes.map(op => op.uids[0]), options.batchSize);
+    const { safe, kept } = checkDeletes(deletes, children, options.force);
+    const updates = present.filter(op => op.action === 'update-block');
+    const strings = await queryStrings(config, updates.map(op => op.uids[0]), options.batchSize);
+    kept.push(...checkUpdates(updates, strings, options.force));
+    const moves = present.filter(op => op.action === 'move-block');
+    const parents = await queryParents(config, moves.map(op => op.uids[0]), options.batchSize);
+    kept.push(...checkMoves(moves, parents, options.force));
+    const keptOps = new Set(kept.map(({ op }) => op));
+    const pending = present.filter(op => !keptOps.has(op));
+    const forced = safe.filter(({ extra }) => extra.length > 0);
+
+    if (options.dryRun) {
+      console.log('Dry run mode - no changes will be made');
+      console.log(`Would undo ${pending.length} operation(s) in graph ${config.graphName}:`);
+      pending.forEach((op, i) => console.log(`  ${i + 1}. ${undoVerb(op)} ${describeOperation(op)}`));
+      if (forced.length > 0) {
+        console.log('');
+        console.log('Would also delete content added later (--force):');
+        forced.forEach(({ op, extra }) => console.log(`  - Under ${describeOperation(op)}: ${describeExtra(extra)}`));
+      }
+      if (gone.length > 0) {
+        console.log('');
+        console.log(`Already undone or gone: ${gone.length}`);
+      }
+      if (kept.length > 0) {
+        console.log('');
+        console.log('Would skip (changed since):');
+        kept.forEach(({ op, reason }) => console.log(`  - ${describeOperation(op)}: ${reason}`));
+      }
+      process.exit(0);
+    }
+
+    console.log(`Undoing ${pending.length} operation(s) in Roam Research graph: ${config.graphName}`);
+    console.log('');
+
+    const results = {
+      undone: [],
+      failed: []
+    };
+
+    await undoOperations(config, pending, options.batchSize, results);
+
+    const undoneIds = results.undone.concat(gone).map(op => op.id);
+    if (undoneIds.length > 0) {
+      recordUndo(config, undoneIds);
+    }
+
+    console.log('\n');
+    console.log('Summary:');
+    console.log(`  ✓ Undone: ${results.undone.length}`);
+    if (gone.length > 0) {
+      console.log(`  - Already undone or gone: ${gone.length}`);
+    }
+    if (kept.length > 0) {
+      console.log(`  - Skipped (changed since): ${kept.length}`);
+    }
+    console.log(`  ✗ Failed: ${results.failed.length}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    console.log('');
+
+    if (results.undone.length > 0) {
+      console.log('Undone:');
+      results.undone.forEach((op, i) => console.log(`  ${i + 1}. ${undoVerb(op)} ${describeOperation(op)}`));
+      console.log('');
+    }
+
+    // Kept operations stay pending, so a later undo (e.g. with --force) can
+    // still pick them up
+    if (kept.length > 0) {
+      console.log('Skipped, since undoing them would delete or overwrite later changes:');
+      kept.forEach(({ op, reason }, i) => console.log(`  ${i + 1}. ${describeOperation(op)}: ${reason}`));
+      console.log(kept.some(({ op }) => !op.implicit)
+        ? 'Run again with --force to undo them anyway, or move that content first.'
+        : 'Move that content first to delete them.');
+      console.log('');
+    }
+
+    if (results.failed.length > 0) {
+      console.log('Failed:');
+      results.failed.forEach(({ op, error }, i) => console.log(`  ${i + 1}. ${describeOperation(op)}: ${error}`));
+      console.log('');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error('');
+    console.error('✗ Fatal error:');
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main();
@@ -0,0 +1,660 @@
+#!/usr/bin/env node
+
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+
+// Show usage information
+function showUsage() {
+  console.log(`
+Usage: update-content.js [options]
+
+Edit, move or delete existing blocks in Roam Research by UID.
+
+Modes (specify exactly one):
+  --update <uid>         Update a block's text, heading or open/collapsed state
+  --move <uid>           Move a block under a new parent
+  --delete <uid>         Delete a block and all of its children
+  --toggle-task <uid>    Toggle a task block between {{[[TODO]]}} and {{[[DONE]]}}
+
+Update options:
+  --string <text>        New block text
+  --heading <0-3>        Heading level (0 removes the heading)
+  --open                 Expand the block's children
+  --collapse             Collapse the block's children
+
+Move options:
+  --parent-uid <uid>     UID of the new parent block or page (required)
+  --order <position>     Position under the new parent: first, last or a
+                         0-based index (default: last)
+
+Options:
+  --dry-run              Preview without making API calls
+  --graph <profile>      Use a graph profile from the config file
+  --max-attempts <n>     Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>    Request timeout in seconds (default: 30)
+  --help                 Show this help message
+
+Environment Variables (required unless a config file profile is used):
+  ROAM_API_TOKEN         Your Roam Research API token (starts with roam-graph-token-)
+  ROAM_GRAPH_NAME        Your Roam Research graph name
+
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS      Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT           Request timeout in seconds (default: 30)
+  ROAM_CONFIG            Config file with graph profiles
+  ROAM_JOURNAL           Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
+Examples:
+  # Fix the text of a block
+  update-content.js --update "abc123xyz" --string "Corrected meeting note"
+
+  # Turn a block into a collapsed H2 heading
+  update-content.js --update "abc123xyz" --heading 2 --collapse
+
+  # Move a block to the top of another block's children
+  update-content.js --move "abc123xyz" --parent-uid "def456uvw" --order first
+
+  # Mark a task as done (or reopen it)
+  update-content.js --toggle-task "abc123xyz"
+
+  # Preview deleting a block
+  update-content.js --delete "abc123xyz" --dry-run
+`);
+}
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    update: null,
+    move: null,
+    delete: null,
+    toggleTask: null,
+    string: null,
+    heading: null,
+    open: null,
+    parentUid: null,
+    order: 'last',
+    dryRun: false,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--update':
+        options.update = args[++i];
+        break;
+      case '--move':
+        options.move = args[++i];
+        break;
+      case '--delete':
+        options.delete = args[++i];
+        break;
+      case '--toggle-task':
+        options.toggleTask = args[++i];
+        break;
+      case '--string':
+      case '-s':
+        options.string = args[++i];
+        break;
+      case '--heading':
+        options.heading = parseInt(args[++i], 10);
+        break;
+      case '--open':
+        options.open = true;
+        break;
+      case '--collapse':
+        options.open = false;
+        break;
+      case '--parent-uid':
+        options.parentUid = args[++i];
+        break;
+      case '--order':
+        options.order = parseOrder(args[++i]);
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
+      default:
+        console.error(`Unknown option: ${args[i]}`);
+        process.exit(1);
+    }
+  }
+
+  return options;
+}
+
+// Parse an --order value: "first", "last" or a 0-based index
+function parseOrder(value) {
+  if (value === 'first' || value === 'last') {
+    return value;
+  }
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
+
+  if (!graphName || !apiToken) {
+    console.error('Error: No Roam Research graph configured');
+    console.error('');
+    console.error('Please set the following environment variables:');
+    console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
+    console.error('  ROAM_API_TOKEN     Your Roam Research API token');
+    console.error('');
+    console.error('Example:');
+    console.error('  export ROAM_GRAPH_NAME="my-graph"');
+    console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
+    console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
+    process.exit(1);
+  }
+
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Make HTTPS request (shared helper)
+function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
+  return new Promise((resolve, reject) => {
+    const makeRequest = (opts) => {
+      const req = https.request(opts, (res) => {
+        // Handle redirects
+        if (res.statusCode === 301 || res.statusCode === 302 || res.statusCode === 308) {
+          const redirectUrl = new URL(res.headers.location);
+          const redirectOpts = {
+            hostname: redirectUrl.hostname,
+            port: redirectUrl.port || 443,
+            path: redirectUrl.pathname + redirectUrl.search,
+            method: opts.method,
+            headers: opts.headers,
+            timeout: timeout
+          };
+
+          const redirectReq = https.request(redirectOpts, (redirectRes) => {
+            let data = '';
+            redirectRes.on('data', (chunk) => { data += chunk; });
+            redirectRes.on('end', () => {
+              if (redirectRes.statusCode === 200) {
+                resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
+              } else {
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
+              }
+            });
+          });
+
+          redirectReq.on('error', reject);
+          redirectReq.on('timeout', () => { redirectReq.destroy(); reject(new Error('Request timeout')); });
+          redirectReq.write(payload);
+          redirectReq.end();
+          return;
+        }
+
+        let data = '';
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => {
+          if (res.statusCode === 200) {
+            resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
+          } else {
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Request timeout')); });
+      req.write(payload);
+      req.end();
+    };
+
+    makeRequest(requestOptions);
+  });
+}
+
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Convert a pulled block into { uid, string, heading, open, children }, with
+// children sorted by order
+function pulledBlockTree(entity) {
+  return {
+    uid: pullAttr(entity, 'block/uid'),
+    string: pullAttr(entity, 'block/string') || '',
+    heading: pullAttr(entity, 'block/heading') || 0,
+    open: pullAttr(entity, 'block/open') !== false,
+    children: (pullAttr(entity, 'block/children') || [])
+      .slice()
+      .sort((a, b) => pullAttr(a, 'block/order') - pullAttr(b, 'block/order'))
+      .map(pulledBlockTree)
+  };
+}
+
+// Look up a block's current text, heading, open state, parent and order by
+// UID, and with withChildren its whole subtree (null if there is no such block)
+async function queryBlock(config, uid, withChildren = false) {
+  const children = withChildren ? ' {:block/children [:block/uid :block/string :block/heading :block/open :block/order {:block/children ...}]}' : '';
+  const query = `[:find (pull ?b [:block/uid :block/string :block/heading :block/open :block/order {:block/_children [:block/uid]}${children}])
+ :in $ ?uid
+ :where [?b :block/uid ?uid]
+        [?b :block/string]]`;
+  const payload = JSON.stringify({ query, args: [uid] });
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/q`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  if (!response.data || !response.data.result || response.data.result.length === 0 || !response.data.result[0][0]) {
+    return null;
+  }
+  const entity = response.data.result[0][0];
+  const parents = pullAttr(entity, 'block/_children') || [];
+  return Object.assign(pulledBlockTree(entity), {
+    parentUid: parents.length > 0 ? pullAttr(parents[0], 'block/uid') : null,
+    order: pullAttr(entity, 'block/order')
+  });
+}
+
+// The state an action replaces, journaled so undo.js can restore it: the old
+// values of the updated fields, the old position of a moved block, or the
+// whole tree of a deleted block
+function previousState(action, block) {
+  if (action.action === 'update-block') {
+    const previous = {};
+    ['string', 'heading', 'open'].forEach(field => {
+      if (action.block[field] !== undefined) previous[field] = block[field];
+    });
+    return previous;
+  }
+  const position = { parentUid: block.parentUid, order: block.order };
+  if (action.action === 'move-block') {
+    return position;
+  }
+  return Object.assign(position, {
+    block: { uid: block.uid, string: block.string, heading: block.heading, open: block.open, children: block.children }
+  });
+}
+
+// Task checkbox markers: {{[[TODO]]}}, {{[[DONE]]}} and the short {{TODO}} form
+const TASK_MARKER = /\{\{(?:\[\[)?(TODO|DONE)(?:\]\])?\}\}/;
+
+// Swap a task block's TODO/DONE marker, or return null if it is not a task
+function toggleTaskString(string) {
+  const marker = TASK_MARKER.exec(string);
+  if (!marker) return null;
+  const next = marker[1] === 'TODO' ? '{{[[DONE]]}}' : '{{[[TODO]]}}';
+  return string.replace(TASK_MARKER, next);
+}
+
+// Build the write action for the selected mode
+function buildAction(options) {
+  if (options.update) {
+    const block = { uid: options.update };
+    if (options.string !== null) block.string = options.string;
+    if (options.heading !== null) block.heading = options.heading;
+    if (options.open !== null) block.open = options.open;
+    return { action: 'update-block', block };
+  }
+
+  if (options.move) {
+    return {
+      action: 'move-block',
+      block: { uid: options.move },
+      location: {
+        'parent-uid': options.parentUid,
+        order: options.order
+      }
+    };
+  }
+
+  return { action: 'delete-block', block: { uid: options.delete } };
+}
+
+// Describe an action in one line for previews and summaries
+function describeAction(action) {
+  const { block } = action;
+
+  switch (action.action) {
+    case 'update-block': {
+      const changes = [];
+      if (block.string !== undefined) changes.push(`string: "${block.string}"`);
+      if (block.heading !== undefined) changes.push(`heading: ${block.heading}`);
+      if (block.open !== undefined) changes.push(block.open ? 'expanded' : 'collapsed');
+      return `Update block ${block.uid} (${changes.join(', ')})`;
+    }
+    case 'move-block':
+      return `Move block ${block.uid} under ${action.location['parent-uid']} at position ${action.location.order}`;
+    default:
+      return `Delete block ${block.uid} and its children`;
+  }
+}
+
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the state they replaced, so undo.js can restore it
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'update-content.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+// Send a write action (or batch-actions payload) to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
+
+  const options = {
+    hostname: 'api.roamresearch.com',
+    path: `/api/graph/${config.graphName}/write`,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      'Authorization': `Bearer ${config.apiToken}`,
+      'Accept': 'application/json'
+    },
+    timeout: config.timeout
+  };
+
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Main function
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // Show help if requested
+    if (options.help) {
+      showUsage();
+      process.exit(0);
+    }
+
+    // Validate: must specify exactly one mode
+    const modes = [options.update, options.move, options.delete, options.toggleTask].filter(Boolean);
+    if (modes.length === 0) {
+      console.error('Error: Must specify one of --update, --move, --delete, or --toggle-task');
+      console.error('Run with --help for usage information.');
+      process.exit(1);
+    }
+    if (modes.length > 1) {
+      console.error('Error: Cannot combine --update, --move, --delete, and --toggle-task');
+      process.exit(1);
+    }
+
+    if (options.update && options.string === null && options.heading === null && options.open === null) {
+      console.error('Error: --update requires at least one of --string, --heading, --open, or --collapse');
+      process.exit(1);
+    }
+    if (options.heading !== null && (!Number.isInteger(options.heading) || options.heading < 0 || options.heading > 3)) {
+      console.error('Error: --heading must be 0, 1, 2, or 3');
+      process.exit(1);
+    }
+    if (options.move && !options.parentUid) {
+      console.error('Error: --move requires --parent-uid <uid>');
+      process.exit(1);
+    }
+    if (options.order === null) {
+      console.error('Error: --order must be first, last, or a non-negative integer');
+      process.exit(1);
+    }
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
+      process.exit(1);
+    }
+
+    // A task toggle is built once the block's current text is known
+    let action = options.toggleTask ? null : buildAction(options);
+    const uid = action ? action.block.uid : options.toggleTask;
+
+    // Dry run mode
+    if (options.dryRun) {
+      console.log('Dry run mode - no changes will be made');
+      console.log(action ? describeAction(action) : `Toggle task ${uid} between TODO and DONE`);
+      process.exit(0);
+    }
+
+    // Load config for actual API calls
+    const config = loadConfig(options);
+
+    console.log(`Updating Roam Research graph: ${config.graphName}`);
+    console.log('');
+
+    // Make sure the block exists before changing it, and keep what a delete
+    // removes for the journal
+    const block = await queryBlock(config, uid, Boolean(options.delete));
+    if (!block) {
+      console.error(`Error: Block "${uid}" not found.`);
+      process.exit(1);
+    }
+    console.log(`  Current text: ${block.string}`);
+
+    if (!action) {
+      const toggled = toggleTaskString(block.string);
+      if (toggled === null) {
+        console.error(`Error: Block "${uid}" is not a {{[[TODO]]}} or {{[[DONE]]}} task.`);
+        process.exit(1);
+      }
+      action = { action: 'update-block', block: { uid, string: toggled } };
+    }
+
+    await sendWriteAction(config, action);
+    recordInJournal(config, [{ payload: action, uids: [uid], previous: previousState(action, block) }]);
+
+    console.log(`  ✓ ${describeAction(action)}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    if (journal.count > 0) {
+      console.log(`  Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+    }
+
+  } catch (error) {
+    console.error('');
+    console.error('✗ Fatal error:');
+    console.error(error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main();
@@ -1,7 +1,12 @@
 #!/usr/bin/env node
 
 const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
 const readline = require('readline');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
 
 // Show usage information
 function showUsage() {
@@ -13,19 +18,57 @@ Write content (blocks) to a Roam Research page.
 Options:
   --page <title>       Target page title to write to
   --today              Write to today's daily notes page
+  --date <date>        Write to the daily notes page for a date: YYYY-MM-DD,
+                       yesterday, tomorrow, -3d, "last friday", "next monday"
+  --parent-uid <uid>   Write under this block (or page) instead of a page title
+  --under <text>       Write under the block on the page with this text (exact
+                       match, else prefix match), creating it if missing
+  --order <position>   Position of the new blocks under their parent: first,
+                       last or a 0-based index (default: last)
   --content <text>     Content to write as a new block
-  --stdin              Read content from stdin (one block per line)
-  --dry-run            Preview without making API calls
+  --stdin              Read content from stdin (one block per line; indented
+                       lines and "- " bullets become nested blocks)
+  --no-comments        Keep --stdin lines starting with "#" (e.g. "#tag ...")
+                       as blocks instead of skipping them as comments
+  --template <source>  Copy a template's block tree into the page. The source is
+                       a page title, or a local outline file if the path exists
+                       (a template page is read from the graph, even with
+                       --dry-run; a file works offline)
+  --var <key=value>    Template variable, substituted for {{key}} (repeatable).
+                       {{date}} and {{title}} are always available
+  --dedupe             Skip top-level blocks whose text is already where they
+                       would be written
+  --dedupe-scope <scope>
+                       Compare with the parent's direct children (top, default)
+                       or all blocks on the page (all)
+  --idempotency-key <key>
+                       Derive block UIDs from this key and the target, so
+                       repeating a run with the same key and target writes
+                       nothing (or only what failed before)
+  --batch-size <n>     Number of blocks sent per batch request (default: 50)
+  --dry-run            Preview without making changes
+  --graph <profile>    Use a graph profile from the config file
+  --max-attempts <n>   Maximum attempts per request, including retries (default: 5)
+  --timeout <seconds>  Request timeout in seconds (default: 30)
   --help               Show this help message
 
-Environment Variables (required):
+Environment Variables (required unless a config file profile is used):
   ROAM_API_TOKEN       Your Roam Research API token (starts with roam-graph-token-)
   ROAM_GRAPH_NAME      Your Roam Research graph name
 
+Environment Variables (optional):
+  ROAM_MAX_ATTEMPTS    Maximum attempts per request, including retries (default: 5)
+  ROAM_TIMEOUT         Request timeout in seconds (default: 30)
+  ROAM_CONFIG          Config file with graph profiles
+  ROAM_JOURNAL         Write journal read by undo.js (default: ~/.config/roam/journal.jsonl)
+
 Examples:
   # Write a block to today's daily notes page
   write-content.js --today --content "Meeting notes from standup"
 
+  # Write to yesterday's daily notes page
+  write-content.js --date yesterday --content "Forgot to log: deployed v2.1"
+
   # Write to a specific page
   write-content.js --page "Project Alpha" --content "TODO: Review design doc"
 
@@ -33,6 +76,25 @@ Examples:
   echo -e "First block\\nSecond block\\nThird block" | \\
     write-content.js --page "Meeting Notes" --stdin
 
+  # Write a nested outline (indent with spaces, tabs or "- " bullets)
+  printf "Standup\n  - Alice: shipped login\n  - Bob: reviewing PRs\n" | \
+    write-content.js --today --stdin
+
+  # Append a decision inside the "Decisions" section of a project page
+  write-content.js --page "Project Alpha" --under "Decisions" --content "Use Postgres"
+
+  # Add a block as the first child of a specific block
+  write-content.js --parent-uid "abc123xyz" --order first --content "Summary"
+
+  # Start a 1:1 page from a template page
+  write-content.js --page "1:1 Alice" --template "Templates/1:1" --var person=Alice
+
+  # Safe to retry: a second run with the same key is a no-op
+  write-content.js --today --content "Deployed v2.1" --idempotency-key deploy-v2.1
+
+  # Don't add lines that are already on today's page
+  printf "Standup\nCode review\n" | write-content.js --today --stdin --dedupe
+
   # Dry run to preview
   write-content.js --today --content "Test content" --dry-run
 `);
@@ -44,9 +106,23 @@ function parseArgs() {
   const options = {
     page: null,
     today: false,
+    date: null,
     content: null,
     stdin: false,
+    noComments: false,
+    template: null,
+    vars: {},
+    dedupe: false,
+    dedupeScope: 'top',
+    idempotencyKey: null,
+    parentUid: null,
+    under: null,
+    order: 'last',
+    batchSize: 50,
     dryRun: false,
+    graph: null,
+    maxAttempts: null,
+    timeout: null,
     help: false
   };
 
@@ -64,6 +140,10 @@ function parseArgs() {
       case '-t':
         options.today = true;
         break;
+      case '--date':
+      case '-d':
+        options.date = args[++i];
+        break;
       case '--content':
       case '-c':
         options.content = args[++i];
@@ -71,9 +151,55 @@ function parseArgs() {
       case '--stdin':
         options.stdin = true;
         break;
+      case '--no-comments':
+        options.noComments = true;
+        break;
+      case '--template':
+        options.template = args[++i];
+        break;
+      case '--var': {
+        const pair = args[++i] || '';
+        const eq = pair.indexOf('=');
+        if (eq < 1) {
+          console.error(`Invalid --var "${pair}" (expected key=value)`);
+          process.exit(1);
+        }
+        options.vars[pair.substring(0, eq)] = pair.substring(eq + 1);
+        break;
+      }
+      case '--parent-uid':
+        options.parentUid = args[++i];
+        break;
+      case '--under':
+        options.under = args[++i];
+        break;
+      case '--order':
+        options.order = parseOrder(args[++i]);
+        break;
+      case '--dedupe':
+        options.dedupe = true;
+        break;
+      case '--dedupe-scope':
+        options.dedupeScope = args[++i];
+        break;
+      case '--idempotency-key':
+        options.idempotencyKey = args[++i];
+        break;
+      case '--batch-size':
+        options.batchSize = parseInt(args[++i], 10);
+        break;
       case '--dry-run':
         options.dryRun = true;
         break;
+      case '--graph':
+        options.graph = args[++i];
+        break;
+      case '--max-attempts':
+        options.maxAttempts = parseInt(args[++i], 10);
+        break;
+      case '--timeout':
+        options.timeout = parseFloat(args[++i]);
+        break;
       default:
         console.error(`Unknown option: ${args[i]}`);
         process.exit(1);
@@ -83,13 +209,100 @@ function parseArgs() {
   return options;
 }
 
-// Load configuration from environment variables
-function loadConfig() {
-  const graphName = process.env.ROAM_GRAPH_NAME;
-  const apiToken = process.env.ROAM_API_TOKEN;
+// Parse an --order value: "first", "last" or a 0-based index
+function parseOrder(value) {
+  if (value === 'first' || value === 'last') {
+    return value;
+  }
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+}
+
+// Default location of the config file with graph profiles
+const CONFIG_PATH = path.join(os.homedir(), '.config', 'roam', 'config.json');
+
+// Read the config file with named graph profiles (ROAM_CONFIG overrides its
+// path). A missing file is the same as one without profiles.
+function readConfigFile() {
+  const configPath = process.env.ROAM_CONFIG || CONFIG_PATH;
+  if (!fs.existsSync(configPath)) {
+    return { path: configPath, profiles: {} };
+  }
+
+  try {
+    const file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return { path: configPath, defaultProfile: file.defaultProfile, profiles: file.profiles || {} };
+  } catch (err) {
+    console.error(`Error: Cannot read config file ${configPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Find a profile by name, or by the graph it points at
+function findProfile(profiles, name) {
+  if (profiles[name]) {
+    return profiles[name];
+  }
+  return Object.values(profiles).find(profile => profile.graph === name) || null;
+}
+
+// Get a profile's API token, running its tokenCommand (e.g. a keychain
+// helper that prints the token) when no token is stored in the file
+function getProfileToken(profile, name) {
+  if (profile.token) {
+    return profile.token;
+  }
+  if (!profile.tokenCommand) {
+    return null;
+  }
+
+  try {
+    return execSync(profile.tokenCommand, { encoding: 'utf8', timeout: 30000, stdio: ['ignore', 'pipe', 'inherit'] }).trim();
+  } catch (err) {
+    console.error(`Error: tokenCommand of profile "${name}" failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Resolve the graph and token: the --graph profile, else the ROAM_GRAPH_NAME /
+// ROAM_API_TOKEN environment variables, else the config file's default profile
+function resolveCredentials(options) {
+  const file = readConfigFile();
+
+  if (options.graph) {
+    const profile = findProfile(file.profiles, options.graph);
+    if (!profile) {
+      const names = Object.keys(file.profiles);
+      console.error(`Error: Unknown graph profile "${options.graph}" in ${file.path}`);
+      console.error(names.length > 0 ? `Available profiles: ${names.join(', ')}` : 'No profiles are configured.');
+      process.exit(1);
+    }
+    return { graphName: profile.graph || options.graph, apiToken: getProfileToken(profile, options.graph) };
+  }
+
+  const envGraph = process.env.ROAM_GRAPH_NAME;
+  const envToken = process.env.ROAM_API_TOKEN;
+  if (envGraph || envToken) {
+    // A graph from the environment can take its token from a matching profile
+    const profile = envGraph && !envToken ? findProfile(file.profiles, envGraph) : null;
+    return { graphName: envGraph, apiToken: envToken || (profile ? getProfileToken(profile, envGraph) : null) };
+  }
+
+  const names = Object.keys(file.profiles);
+  const name = file.defaultProfile || (names.length === 1 ? names[0] : null);
+  const profile = name ? file.profiles[name] : null;
+  if (!profile) {
+    return { graphName: null, apiToken: null };
+  }
+  return { graphName: profile.graph || name, apiToken: getProfileToken(profile, name) };
+}
+
+// Load configuration from --graph, environment variables or the config file
+function loadConfig(options) {
+  const { graphName, apiToken } = resolveCredentials(options);
 
   if (!graphName || !apiToken) {
-    console.error('Error: Required environment variables not set');
+    console.error('Error: No Roam Research graph configured');
     console.error('');
     console.error('Please set the following environment variables:');
     console.error('  ROAM_GRAPH_NAME    Your Roam Research graph name');
@@ -99,29 +312,40 @@ function loadConfig() {
     console.error('  export ROAM_GRAPH_NAME="my-graph"');
     console.error('  export ROAM_API_TOKEN="roam-graph-token-xxx"');
     console.error('');
+    console.error(`Or add a profile to ${CONFIG_PATH} and pass --graph <profile>.`);
+    console.error('');
     process.exit(1);
   }
 
-  return { graphName, apiToken };
+  const maxAttempts = options.maxAttempts || parseInt(process.env.ROAM_MAX_ATTEMPTS, 10) || 5;
+  const timeoutSeconds = options.timeout || parseFloat(process.env.ROAM_TIMEOUT) || 30;
+
+  return { graphName, apiToken, maxAttempts, timeout: timeoutSeconds * 1000 };
 }
 
-// Format today's date in Roam Research daily notes format
+// Format a date in Roam Research daily notes format
 // Roam uses: "February 5th, 2026"
-function getTodayRoamTitle() {
-  const now = new Date();
+function getRoamDateTitle(date = new Date()) {
   const months = [
     'January', 'February', 'March', 'April', 'May', 'June',
     'July', 'August', 'September', 'October', 'November', 'December'
   ];
 
-  const month = months[now.getMonth()];
-  const day = now.getDate();
-  const year = now.getFullYear();
+  const month = months[date.getMonth()];
+  const day = date.getDate();
+  const year = date.getFullYear();
   const suffix = getOrdinalSuffix(day);
 
   return `${month} ${day}${suffix}, ${year}`;
 }
 
+// Format a date as a Roam daily notes page UID ("MM-DD-YYYY")
+function getRoamDateUid(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}-${day}-${date.getFullYear()}`;
+}
+
 // Get ordinal suffix for a day number
 function getOrdinalSuffix(day) {
   if (day >= 11 && day <= 13) return 'th';
@@ -133,8 +357,61 @@ function getOrdinalSuffix(day) {
   }
 }
 
-// Read content lines from stdin
-async function readContentFromStdin() {
+// Build a local date from YYYY-MM-DD parts, or null when they don't name a
+// real day (2026-02-30 or 2026-13-01 would otherwise roll over)
+function buildCalendarDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  date.setFullYear(year);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Parse a --date value into a local date. Accepts YYYY-MM-DD, today,
+// yesterday, tomorrow, day offsets (-3d, +1w, "3 days ago"), and weekdays
+// ("friday" or "last friday" for the most recent one before today,
+// "next monday" for the first one after today).
+function parseDateSpec(value, now = new Date()) {
+  const spec = (value || '').trim().toLowerCase();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const addDays = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+  const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  if (spec === 'today') return today;
+  if (spec === 'yesterday') return addDays(-1);
+  if (spec === 'tomorrow') return addDays(1);
+
+  const iso = /^(\d{4})-(\d{2})-(\d{2})$/.exec(spec);
+  if (iso) {
+    return buildCalendarDate(parseInt(iso[1], 10), parseInt(iso[2], 10), parseInt(iso[3], 10));
+  }
+
+  const offset = /^([+-]?\d+)\s*([dw])$/.exec(spec);
+  if (offset) {
+    return addDays(parseInt(offset[1], 10) * (offset[2] === 'w' ? 7 : 1));
+  }
+
+  const ago = /^(\d+)\s+(day|week)s?\s+ago$/.exec(spec);
+  if (ago) {
+    return addDays(-parseInt(ago[1], 10) * (ago[2] === 'week' ? 7 : 1));
+  }
+
+  const weekday = /^(?:(last|next)\s+)?([a-z]+)$/.exec(spec);
+  if (weekday && weekdays.includes(weekday[2])) {
+    const target = weekdays.indexOf(weekday[2]);
+    if (weekday[1] === 'next') {
+      return addDays(((target - today.getDay() + 6) % 7) + 1);
+    }
+    return addDays(-(((today.getDay() - target + 6) % 7) + 1));
+  }
+
+  return null;
+}
+
+// Read content lines from stdin (indentation is preserved for outline parsing),
+// skipping lines starting with "#" as comments unless keepComments is set
+async function readContentFromStdin(keepComments) {
   return new Promise((resolve) => {
     const lines = [];
     const rl = readline.createInterface({
@@ -145,8 +422,8 @@ async function readContentFromStdin() {
 
     rl.on('line', (line) => {
       const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('#')) {
-        lines.push(trimmed);
+      if (trimmed && (keepComments || !trimmed.startsWith('#'))) {
+        lines.push(line.replace(/\s+$/, ''));
       }
     });
 
@@ -154,6 +431,156 @@ async function readContentFromStdin() {
   });
 }
 
+// Read outline lines from a local file, skipping empty lines and comments
+function readOutlineFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.trim().startsWith('#'))
+    .map(line => line.replace(/\s+$/, ''));
+}
+
+// Replace {{key}} placeholders in a block tree. Unknown placeholders (including
+// Roam macros like {{TODO}}) are left untouched.
+function applyTemplateVars(blocks, vars) {
+  return blocks.map(block => Object.assign({}, block, {
+    string: block.string.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(vars, key) ? vars[key] : match),
+    children: applyTemplateVars(block.children, vars)
+  }));
+}
+
+// Parse indented lines (spaces, tabs or "- " bullets) into a nested block tree
+function parseOutline(lines) {
+  const blocks = [];
+  const stack = [];
+
+  for (const line of lines) {
+    const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    const text = line.trim().replace(/^[-*+]\s+/, '');
+    if (!text) continue;
+
+    // Pop back to the closest less-indented line, which becomes the parent
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+
+    const block = { string: text, children: [] };
+    if (stack.length > 0) {
+      stack[stack.length - 1].block.children.push(block);
+    } else {
+      blocks.push(block);
+    }
+    stack.push({ indent, block });
+  }
+
+  return blocks;
+}
+
+// Count all blocks in a block tree
+function countBlocks(blocks) {
+  return blocks.reduce((sum, block) => sum + 1 + countBlocks(block.children), 0);
+}
+
+// Print a block tree as an indented preview, marking blocks that are
+// already written
+function printBlockTree(blocks, indent = 1, writtenUids = new Set()) {
+  for (const block of blocks) {
+    const written = writtenUids.has(block.uid) ? ' (already written)' : '';
+    console.log(`${'  '.repeat(indent)}- ${block.string}${written}`);
+    printBlockTree(block.children, indent + 1, writtenUids);
+  }
+}
+
+// Generate a Roam-style block UID (9 URL-safe characters)
+function generateUid() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+  let uid = '';
+  for (const byte of crypto.randomBytes(9)) {
+    uid += chars[byte % chars.length];
+  }
+  return uid;
+}
+
+// Give every block a UID derived from the idempotency key, the target it is
+// written to and its position in the written tree, so repeating a run
+// produces the same UIDs and the same key used for another target doesn't
+function assignKeyedUids(blocks, key, target, prefix = '') {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789-_';
+  blocks.forEach((block, i) => {
+    const position = `${prefix}${i}`;
+    const digest = crypto.createHash('sha256').update(`${key}\n${target}\n${position}`).digest();
+    block.uid = Array.from(digest.slice(0, 9), byte => chars[byte % chars.length]).join('');
+    assignKeyedUids(block.children, key, target, `${position}.`);
+  });
+}
+
+// Collect every block UID in a block tree
+function collectUids(blocks, uids = []) {
+  for (const block of blocks) {
+    uids.push(block.uid);
+    collectUids(block.children, uids);
+  }
+  return uids;
+}
+
+// HTTP status codes and network errors that are worth retrying
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Number of retried requests, reported at the end of a run
+const requestStats = { retried: 0 };
+
+// Wait for the given number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Check whether a failed request is transient and can be retried
+function isRetryableError(error) {
+  if (error.statusCode) {
+    return RETRYABLE_STATUS_CODES.includes(error.statusCode);
+  }
+  return error.message === 'Request timeout' || RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Longest wait before a retry, for backoff and Retry-After alike
+const MAX_RETRY_DELAY = 30000;
+
+// Delay before the next attempt: honor Retry-After when the server sends it
+// (failing instead when it asks for more than MAX_RETRY_DELAY), otherwise use
+// exponential backoff with jitter
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const date = Date.parse(error.retryAfter);
+    const delay = !isNaN(seconds) ? seconds * 1000 : !isNaN(date) ? Math.max(0, date - Date.now()) : null;
+    if (delay !== null && delay > MAX_RETRY_DELAY) {
+      throw new Error(`HTTP ${error.statusCode}: server asked to retry after ${Math.ceil(delay / 1000)}s (Retry-After), more than the ${MAX_RETRY_DELAY / 1000}s this script waits. Try again later.`);
+    }
+    if (delay !== null) return delay;
+  }
+  const backoff = Math.min(MAX_RETRY_DELAY, 1000 * Math.pow(2, attempt - 1));
+  return backoff / 2 + Math.random() * (backoff / 2);
+}
+
+// Run a request, retrying transient failures up to config.maxAttempts times
+async function withRetry(config, request) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= config.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt);
+      const reason = error.statusCode ? `HTTP ${error.statusCode}` : (error.code || error.message);
+      console.error(`  Retrying in ${(delay / 1000).toFixed(1)}s (${reason}, attempt ${attempt + 1}/${config.maxAttempts})...`);
+      requestStats.retried++;
+      await sleep(delay);
+    }
+  }
+}
+
 // Make HTTPS request (shared helper)
 function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
   return new Promise((resolve, reject) => {
@@ -178,7 +605,7 @@ function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
               if (redirectRes.statusCode === 200) {
                 resolve({ statusCode: redirectRes.statusCode, data: data ? JSON.parse(data) : {} });
               } else {
-                reject({ statusCode: redirectRes.statusCode, message: data });
+                reject({ statusCode: redirectRes.statusCode, message: data, retryAfter: redirectRes.headers['retry-after'] });
               }
             });
           });
@@ -196,7 +623,7 @@ function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
           if (res.statusCode === 200) {
             resolve({ statusCode: res.statusCode, data: data ? JSON.parse(data) : {} });
           } else {
-            reject({ statusCode: res.statusCode, message: data });
+            reject({ statusCode: res.statusCode, message: data, retryAfter: res.headers['retry-after'] });
           }
         });
       });
@@ -211,10 +638,13 @@ function makeHttpsRequest(requestOptions, payload, timeout = 30000) {
   });
 }
 
-// Query Roam Research for a page UID by title
-async function queryPageUid(config, pageTitle) {
-  const query = `[:find ?uid :where [?e :node/title "${pageTitle.replace(/"/g, '\\"')}"] [?e :block/uid ?uid]]`;
-  const payload = JSON.stringify({ query });
+// Run a Datalog query against the Roam API
+async function runQuery(config, query, queryArgs) {
+  const body = { query };
+  if (queryArgs && queryArgs.length > 0) {
+    body.args = queryArgs;
+  }
+  const payload = JSON.stringify(body);
 
   const options = {
     hostname: 'api.roamresearch.com',
@@ -226,28 +656,61 @@ async function queryPageUid(config, pageTitle) {
       'Authorization': `Bearer ${config.apiToken}`,
       'Accept': 'application/json'
     },
-    timeout: 30000
+    timeout: config.timeout
   };
 
-  const response = await makeHttpsRequest(options, payload);
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
 
-  // Response is like { result: [["uid-string"]] } or { result: [] }
-  if (response.data && response.data.result && response.data.result.length > 0) {
-    return response.data.result[0][0];
+  if (response.data && response.data.result) {
+    return response.data.result;
   }
-  return null;
+  return [];
 }
 
-// Create a page in Roam Research
-async function createPage(config, pageTitle) {
-  const payload = JSON.stringify({
-    action: 'create-page',
-    page: { title: pageTitle }
-  });
+// Read an attribute from a pulled entity (the API returns keys like ":block/uid")
+function pullAttr(entity, attr) {
+  if (entity[`:${attr}`] !== undefined) return entity[`:${attr}`];
+  return entity[attr];
+}
+
+// Convert a pulled entity's children into a sorted block tree for writing
+function pulledChildrenToBlocks(entity) {
+  const children = pullAttr(entity, 'block/children');
+  if (!Array.isArray(children)) return [];
+
+  return children
+    .slice()
+    .sort((a, b) => pullAttr(a, 'block/order') - pullAttr(b, 'block/order'))
+    .map(child => {
+      const block = { string: pullAttr(child, 'block/string') || '', children: pulledChildrenToBlocks(child) };
+      const heading = pullAttr(child, 'block/heading');
+      if (heading) block.heading = heading;
+      return block;
+    });
+}
+
+// Fetch a template page's block tree with a single recursive pull
+async function fetchTemplatePage(config, templateTitle) {
+  const query = `[:find (pull ?e [:block/string :block/order :block/heading {:block/children ...}])
+ :in $ ?title
+ :where [?e :node/title ?title]]`;
+
+  const result = await runQuery(config, query, [templateTitle]);
+
+  if (result.length === 0 || !result[0][0]) {
+    throw new Error(`Template page "${templateTitle}" not found`);
+  }
+  return pulledChildrenToBlocks(result[0][0]);
+}
+
+// Query Roam Research for a page UID by title
+async function queryPageUid(config, pageTitle) {
+  const query = `[:find ?uid :where [?e :node/title "${pageTitle.replace(/"/g, '\\"')}"] [?e :block/uid ?uid]]`;
+  const payload = JSON.stringify({ query });
 
   const options = {
     hostname: 'api.roamresearch.com',
-    path: `/api/graph/${config.graphName}/write`,
+    path: `/api/graph/${config.graphName}/q`,
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
@@ -255,24 +718,125 @@ async function createPage(config, pageTitle) {
       'Authorization': `Bearer ${config.apiToken}`,
       'Accept': 'application/json'
     },
-    timeout: 30000
+    timeout: config.timeout
   };
 
-  await makeHttpsRequest(options, payload);
+  const response = await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+
+  // Response is like { result: [["uid-string"]] } or { result: [] }
+  if (response.data && response.data.result && response.data.result.length > 0) {
+    return response.data.result[0][0];
+  }
+  return null;
 }
 
-// Create a block under a page
-async function createBlock(config, parentUid, content) {
-  const payload = JSON.stringify({
-    action: 'create-block',
-    location: {
-      'parent-uid': parentUid,
-      order: 'last'
-    },
-    block: {
-      string: content
+// Read existing block strings: the direct children of a page or block, or
+// (with scope "all") every block on a page
+async function queryExistingStrings(config, uid, scope) {
+  const clause = scope === 'all' ? '[?block :block/page ?parent]' : '[?parent :block/children ?block]';
+  const query = `[:find ?string
+ :in $ ?uid
+ :where [?parent :block/uid ?uid]
+        ${clause}
+        [?block :block/string ?string]]`;
+
+  const result = await runQuery(config, query, [uid]);
+  return new Set(result.map(([string]) => string.trim()));
+}
+
+// Look up a --parent-uid block (or page) and the page it is on (null if missing)
+async function queryParentBlock(config, uid) {
+  const query = `[:find (pull ?e [:block/uid :node/title {:block/page [:block/uid :node/title]}])
+ :in $ ?uid
+ :where [?e :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [uid]);
+  if (result.length === 0 || !result[0][0]) return null;
+
+  const entity = result[0][0];
+  const page = pullAttr(entity, 'block/page') || entity;
+  return { pageUid: pullAttr(page, 'block/uid'), pageTitle: pullAttr(page, 'node/title') };
+}
+
+// Find a block on a page by its text for --under: an exact match first, then
+// a prefix match, preferring blocks nearer the top level (null if none)
+async function findBlockOnPage(config, pageUid, text) {
+  const query = `[:find (pull ?e [:block/uid :block/string :block/order {:block/children ...}])
+ :in $ ?uid
+ :where [?e :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [pageUid]);
+  if (result.length === 0 || !result[0][0]) return null;
+
+  // Breadth-first, in page order
+  const candidates = [];
+  let level = [result[0][0]];
+  while (level.length > 0) {
+    const next = [];
+    for (const entity of level) {
+      const children = (pullAttr(entity, 'block/children') || [])
+        .slice()
+        .sort((a, b) => pullAttr(a, 'block/order') - pullAttr(b, 'block/order'));
+      candidates.push(...children);
+      next.push(...children);
     }
-  });
+    level = next;
+  }
+
+  const target = text.trim();
+  const strings = candidates.map(entity => (pullAttr(entity, 'block/string') || '').trim());
+  let index = strings.findIndex(string => string === target);
+  if (index === -1) {
+    index = strings.findIndex(string => string.startsWith(target));
+  }
+  return index === -1 ? null : pullAttr(candidates[index], 'block/uid');
+}
+
+// Find which of the given block UIDs already exist in the graph
+async function queryExistingUids(config, uids) {
+  const query = `[:find ?uid
+ :in $ [?uid ...]
+ :where [?block :block/uid ?uid]]`;
+
+  const result = await runQuery(config, query, [uids]);
+  return new Set(result.map(([uid]) => uid));
+}
+
+// Default location of the write journal read by undo.js
+const JOURNAL_PATH = path.join(os.homedir(), '.config', 'roam', 'journal.jsonl');
+
+// This run's ID and the number of journal entries it has written
+const journal = { run: `${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}-${process.pid}`, count: 0 };
+
+// Append completed write actions to the journal (ROAM_JOURNAL overrides its
+// path) with the UIDs they created, so undo.js can delete them again
+function recordInJournal(config, entries) {
+  const journalPath = process.env.ROAM_JOURNAL || JOURNAL_PATH;
+  const time = new Date().toISOString();
+  const lines = entries.map(({ payload, uids, previous, implicit }) => JSON.stringify({
+    id: `${journal.run}-${++journal.count}`,
+    run: journal.run,
+    time,
+    graph: config.graphName,
+    script: 'write-content.js',
+    action: payload.action,
+    payload,
+    uids,
+    previous,
+    implicit
+  }) + '\n');
+
+  try {
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, lines.join(''));
+  } catch (err) {
+    console.error(`\nWarning: Cannot write journal ${journalPath}: ${err.message}`);
+  }
+}
+
+// Send a write action (or batch-actions payload) to the Roam API
+async function sendWriteAction(config, action) {
+  const payload = JSON.stringify(action);
 
   const options = {
     hostname: 'api.roamresearch.com',
@@ -284,14 +848,124 @@ async function createBlock(config, parentUid, content) {
       'Authorization': `Bearer ${config.apiToken}`,
       'Accept': 'application/json'
     },
-    timeout: 30000
+    timeout: config.timeout
   };
 
-  return await makeHttpsRequest(options, payload);
+  return await withRetry(config, () => makeHttpsRequest(options, payload, config.timeout));
+}
+
+// Create a page in Roam Research (daily notes pages pass their MM-DD-YYYY UID)
+// and return the action that was sent
+async function createPage(config, pageTitle, pageUid) {
+  const page = { title: pageTitle };
+  if (pageUid) {
+    page.uid = pageUid;
+  }
+
+  const action = {
+    action: 'create-page',
+    page
+  };
+  await sendWriteAction(config, action);
+  return action;
+}
+
+// Flatten a block tree into create-block actions, parents before children.
+// UIDs are generated up front (unless the blocks already have keyed UIDs) so
+// children can reference their parent. The top-level blocks are placed at
+// order ("first", "last" or an index) and after each other; children go last.
+function buildBlockActions(parentUid, blocks, order = 'last', actions = []) {
+  const start = order === 'first' ? 0 : order;
+  blocks.forEach((block, i) => {
+    const uid = block.uid || generateUid();
+    actions.push({
+      action: 'create-block',
+      location: {
+        'parent-uid': parentUid,
+        order: start === 'last' ? 'last' : start + i
+      },
+      block: Object.assign({
+        string: block.string,
+        uid
+      }, block.heading ? { heading: block.heading } : {})
+    });
+    buildBlockActions(uid, block.children, 'last', actions);
+  });
+  return actions;
+}
+
+// Send create-block actions in chunked batches, falling back to single
+// actions for a chunk whose batch request fails
+async function writeBlockActions(config, actions, batchSize, results) {
+  const failedUids = new Set();
+
+  const recordWritten = (action) => {
+    results.written.push(action.block.string);
+    process.stdout.write('.');
+  };
+  const recordFailed = (action, error) => {
+    failedUids.add(action.block.uid);
+    results.failed.push({ content: action.block.string, error });
+    process.stdout.write('x');
+  };
+  const parentFailed = (action) => failedUids.has(action.location['parent-uid']);
+  const journalEntry = (action) => ({ payload: action, uids: [action.block.uid] });
+
+  for (let i = 0; i < actions.length; i += batchSize) {
+    const chunk = [];
+    for (const action of actions.slice(i, i + batchSize)) {
+      if (parentFailed(action)) {
+        recordFailed(action, 'Parent block was not created');
+      } else {
+        chunk.push(action);
+      }
+    }
+
+    if (chunk.length > 1) {
+      try {
+        await sendWriteAction(config, { action: 'batch-actions', actions: chunk });
+        recordInJournal(config, chunk.map(journalEntry));
+        chunk.forEach(recordWritten);
+        continue;
+      } catch (error) {
+        // Fall through and retry this chunk one action at a time
+      }
+    }
+
+    // A failed batch may still have been applied in part (e.g. a timeout
+    // after the server committed it): blocks that exist now were written
+    let applied = new Set();
+    if (chunk.length > 1) {
+      try {
+        applied = await queryExistingUids(config, chunk.map(action => action.block.uid));
+      } catch (error) {
+        // Resend the whole chunk
+      }
+    }
+
+    for (const action of chunk) {
+      if (parentFailed(action)) {
+        recordFailed(action, 'Parent block was not created');
+        continue;
+      }
+      if (applied.has(action.block.uid)) {
+        recordInJournal(config, [journalEntry(action)]);
+        recordWritten(action);
+        continue;
+      }
+      try {
+        await sendWriteAction(config, action);
+        recordInJournal(config, [journalEntry(action)]);
+        recordWritten(action);
+      } catch (error) {
+        recordFailed(action, error.message || 'Unknown error');
+      }
+    }
+  }
 }
 
 // Ensure a page exists and return its UID
-async function ensurePageAndGetUid(config, pageTitle) {
+async function ensurePageAndGetUid(config, pageTitle, pageUid) {
   // First, try to find the page
   let uid = await queryPageUid(config, pageTitle);
 
@@ -301,7 +975,7 @@ async function ensurePageAndGetUid(config, pageTitle) {
 
   // Page doesn't exist, create it
   console.log(`  Page "${pageTitle}" does not exist, creating it...`);
-  await createPage(config, pageTitle);
+  const action = await createPage(config, pageTitle, pageUid);
 
   // Query again to get the UID
   uid = await queryPageUid(config, pageTitle);
@@ -309,6 +983,8 @@ async function ensurePageAndGetUid(config, pageTitle) {
   if (!uid) {
     throw new Error(`Failed to get UID for page "${pageTitle}" after creation`);
   }
+  // Marked implicit: undo.js only deletes the page again while it is empty
+  recordInJournal(config, [{ payload: action, uids: [uid], implicit: true }]);
 
   return uid;
 }
@@ -324,58 +1000,208 @@ async function main() {
       process.exit(0);
     }
 
-    // Validate: must specify either --page or --today
-    if (!options.page && !options.today) {
-      console.error('Error: Must specify either --page <title> or --today');
+    // Validate: must specify exactly one of --page, --today, --date or --parent-uid
+    const targets = [options.page, options.today, options.date, options.parentUid].filter(Boolean);
+    if (targets.length === 0) {
+      console.error('Error: Must specify one of --page <title>, --today, --date <date>, or --parent-uid <uid>');
       console.error('Run with --help for usage information.');
       process.exit(1);
     }
 
-    if (options.page && options.today) {
-      console.error('Error: Cannot use both --page and --today');
+    if (targets.length > 1) {
+      console.error('Error: Cannot combine --page, --today, --date, and --parent-uid');
+      process.exit(1);
+    }
+
+    if (options.under !== null && (options.parentUid || !options.under.trim())) {
+      console.error('Error: --under needs non-empty block text and a target page (not --parent-uid)');
+      process.exit(1);
+    }
+    if (options.order === null) {
+      console.error('Error: --order must be first, last, or a non-negative integer');
+      process.exit(1);
+    }
+
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+      console.error('Error: --batch-size must be a positive integer');
+      process.exit(1);
+    }
+
+    if (!['top', 'all'].includes(options.dedupeScope)) {
+      console.error('Error: --dedupe-scope must be top or all');
+      process.exit(1);
+    }
+    if (options.dedupeScope !== 'top' && !options.dedupe) {
+      console.error('Error: --dedupe-scope can only be used with --dedupe');
+      process.exit(1);
+    }
+    if (options.idempotencyKey !== null && !options.idempotencyKey) {
+      console.error('Error: --idempotency-key must not be empty');
+      process.exit(1);
+    }
+
+    if (options.maxAttempts !== null && (!Number.isInteger(options.maxAttempts) || options.maxAttempts < 1)) {
+      console.error('Error: --max-attempts must be a positive integer');
+      process.exit(1);
+    }
+    if (options.timeout !== null && !(options.timeout > 0)) {
+      console.error('Error: --timeout must be a positive number of seconds');
       process.exit(1);
     }
 
     // Determine target page title
-    const pageTitle = options.today ? getTodayRoamTitle() : options.page;
+    let pageTitle = options.page;
+    let dailyUid = null;
+    let pageDate = new Date();
+    if (options.today || options.date) {
+      const date = options.today ? new Date() : parseDateSpec(options.date);
+      if (!date) {
+        console.error(`Error: Invalid --date value "${options.date}"`);
+        console.error('Use YYYY-MM-DD, today, yesterday, tomorrow, -3d, "last friday", or "next monday".');
+        process.exit(1);
+      }
+      pageTitle = getRoamDateTitle(date);
+      dailyUid = getRoamDateUid(date);
+      pageDate = date;
+    }
 
-    // Get content to write
-    let contentLines = [];
+    // Resolve the graph and token once (a profile's tokenCommand runs only
+    // once). A dry run only needs them to look things up in the graph.
+    const remoteTemplate = Boolean(options.template) && !fs.existsSync(options.template);
+    const needsGraph = !options.dryRun || remoteTemplate || options.parentUid || options.under ||
+      options.dedupe || options.idempotencyKey;
+    const config = needsGraph ? loadConfig(options) : null;
+
+    // With --parent-uid the target page is the parent's page, which also
+    // gives templates their {{title}}
+    let parent = null;
+    if (options.parentUid) {
+      parent = await queryParentBlock(config, options.parentUid);
+      if (!parent) {
+        console.error(`Error: Block or page "${options.parentUid}" not found.`);
+        process.exit(1);
+      }
+      pageTitle = parent.pageTitle;
+    }
+
+    // Get content to write: template blocks first, then --content/--stdin
+    let blocks = [];
+
+    if (options.template) {
+      const templateBlocks = remoteTemplate
+        ? await fetchTemplatePage(config, options.template)
+        : parseOutline(readOutlineFile(options.template));
+      const vars = Object.assign({ date: getRoamDateTitle(pageDate), title: pageTitle || '' }, options.vars);
+      blocks = applyTemplateVars(templateBlocks, vars);
+    }
 
     if (options.stdin) {
-      contentLines = await readContentFromStdin();
+      blocks = blocks.concat(parseOutline(await readContentFromStdin(options.noComments)));
     } else if (options.content) {
-      contentLines = [options.content];
+      blocks = blocks.concat([{ string: options.content, children: [] }]);
     }
 
-    if (contentLines.length === 0) {
+    if (blocks.length === 0) {
       console.error('Error: No content provided.');
-      console.error('Use --content <text> or --stdin to provide content.');
+      console.error('Use --content <text>, --stdin, or --template to provide content.');
       console.error('Run with --help for usage information.');
       process.exit(1);
     }
 
+    // Keyed UIDs are assigned before --dedupe drops blocks, so they don't
+    // depend on what is already on the page. The target (page, --parent-uid
+    // and --under) is part of the key.
+    if (options.idempotencyKey) {
+      const target = [pageTitle, options.parentUid || '', options.under || ''].join('\n');
+      assignKeyedUids(blocks, options.idempotencyKey, target);
+    }
+
+    // Find where to write without changing anything yet. In a dry run this is
+    // only needed when --parent-uid, --under or --dedupe depend on the graph.
+    let pageUid = null;
+    let parentUid = null;
+    if (!options.dryRun || options.parentUid || options.under || options.dedupe) {
+      if (parent) {
+        pageUid = parent.pageUid;
+        parentUid = options.parentUid;
+      } else {
+        pageUid = await queryPageUid(config, pageTitle);
+        parentUid = options.under ? (pageUid ? await findBlockOnPage(config, pageUid, options.under) : null) : pageUid;
+      }
+    }
+
+    // Skip top-level blocks (with their children) whose text is already next
+    // to them (or anywhere on the page with --dedupe-scope all)
+    let duplicateCount = 0;
+    if (options.dedupe) {
+      const scopeUid = options.dedupeScope === 'all' ? pageUid : parentUid;
+      const existing = scopeUid ? await queryExistingStrings(config, scopeUid, options.dedupeScope) : new Set();
+      const kept = blocks.filter(block => !existing.has(block.string.trim()));
+      duplicateCount = countBlocks(blocks) - countBlocks(kept);
+      blocks = kept;
+    }
+
+    // Blocks written by an earlier run with the same idempotency key
+    let writtenUids = new Set();
+    if (options.idempotencyKey && blocks.length > 0) {
+      writtenUids = await queryExistingUids(config, collectUids(blocks));
+    }
+
+    const pendingCount = countBlocks(blocks) - writtenUids.size;
+    if (duplicateCount > 0) {
+      console.log(`Skipping ${duplicateCount} block(s) already on "${pageTitle}" (--dedupe)`);
+    }
+    if (writtenUids.size > 0) {
+      console.log(`Skipping ${writtenUids.size} block(s) already written with idempotency key "${options.idempotencyKey}"`);
+    }
+    if (pendingCount === 0) {
+      console.log('Nothing to write.');
+      process.exit(0);
+    }
+
+    // Describe the target: a page, a block found with --under, or --parent-uid
+    let target = `Target page: "${pageTitle}"`;
+    if (options.under) {
+      target += `, under block "${options.under}"${parentUid ? '' : ' (will be created)'}`;
+    } else if (options.parentUid && parentUid !== pageUid) {
+      target += `, under block ${parentUid}`;
+    }
+    if (options.order !== 'last') {
+      target += `, at position ${options.order}`;
+    }
+
     // Dry run mode
     if (options.dryRun) {
       console.log('Dry run mode - no changes will be made');
-      console.log(`Target page: "${pageTitle}"`);
-      console.log(`Content blocks to write (${contentLines.length}):`);
-      contentLines.forEach((line, i) => {
-        console.log(`  ${i + 1}. ${line}`);
-      });
+      console.log(target);
+      console.log(`Content blocks to write (${pendingCount}):`);
+      printBlockTree(blocks, 1, writtenUids);
       process.exit(0);
     }
 
-    // Load config for actual API calls
-    const config = loadConfig();
-
     console.log(`Writing to Roam Research graph: ${config.graphName}`);
-    console.log(`Target page: "${pageTitle}"`);
+    console.log(target);
     console.log('');
 
-    // Ensure page exists and get its UID
-    const pageUid = await ensurePageAndGetUid(config, pageTitle);
-    console.log(`  Page UID: ${pageUid}`);
+    // Ensure page exists and get its UID, then the --under block
+    if (!options.parentUid) {
+      pageUid = await ensurePageAndGetUid(config, pageTitle, dailyUid);
+      console.log(`  Page UID: ${pageUid}`);
+
+      if (!options.under) {
+        parentUid = pageUid;
+      } else if (!parentUid) {
+        parentUid = generateUid();
+        const action = {
+          action: 'create-block',
+          location: { 'parent-uid': pageUid, order: 'last' },
+          block: { string: options.under, uid: parentUid }
+        };
+        await sendWriteAction(config, action);
+        recordInJournal(config, [{ payload: action, uids: [parentUid], implicit: true }]);
+        console.log(`  Created block "${options.under}" (uid: ${parentUid})`);
+      }
+    }
 
     // Write content blocks
     const results = {
@@ -383,22 +1209,19 @@ async function main() {
       failed: []
     };
 
-    for (const content of contentLines) {
-      try {
-        await createBlock(config, pageUid, content);
-        results.written.push(content);
-        process.stdout.write('.');
-      } catch (error) {
-        const errorMsg = error.message || 'Unknown error';
-        results.failed.push({ content, error: errorMsg });
-        process.stdout.write('x');
-      }
-    }
+    const actions = buildBlockActions(parentUid, blocks, options.order).filter(action => !writtenUids.has(action.block.uid));
+    await writeBlockActions(config, actions, options.batchSize, results);
 
     console.log('\n');
     console.log('Summary:');
     console.log(`  ✓ Written: ${results.written.length}`);
     console.log(`  ✗ Failed: ${results.failed.length}`);
+    if (requestStats.retried > 0) {
+      console.log(`  ↻ Retried requests: ${requestStats.retried}`);
+    }
+    if (journal.count > 0) {
+      console.log(`  Journal run: ${journal.run} (undo with undo.js --run ${journal.run})`);
+    }
     console.log('');
 
     if (results.written.length > 0) {